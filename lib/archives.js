@@ -0,0 +1,365 @@
+import { PMTiles } from 'pmtiles';
+import { createHash } from 'crypto';
+import { open, stat } from 'fs/promises';
+import { resolve, extname, basename } from 'path';
+import { HttpSource } from './http-source.js';
+
+// Tile archives tilesets read DEM tiles from, one class per file format.
+// Every archive has a path (or URL) and offers:
+//   getHeader()   - { minZoom, maxZoom, minLon, minLat, maxLon, maxLat, centerZoom, centerLon, centerLat }
+//   getMetadata() - metadata object (name, attribution, encoding, ...)
+//   getTile(z, x, y) - the tile's data as an ArrayBuffer, or null when missing
+//   getVersion()  - fingerprint of the file being read, used to invalidate cached tiles when it changes
+//   close()       - release open files; the archive is not read afterwards
+// with tile coordinates in the XYZ scheme.
+export const ARCHIVE_EXTENSIONS = ['.pmtiles', '.mbtiles'];
+
+// Bounds assumed when an archive does not declare its own
+const WORLD_BOUNDS = [-180, -85.0511, 180, 85.0511];
+
+// Fingerprint of a local file from its inode, size and modification time.
+// Archives take it from the file they have open rather than from the path,
+// which may already name a replacement.
+function fileVersion(stats) {
+  return [stats.ino, stats.size, Math.floor(stats.mtimeMs)].map(value => value.toString(36)).join('-');
+}
+
+export function isRemoteLocation(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+// Custom FileSource for reading local PMTiles files
+export class FileSource {
+  constructor(path) {
+    this.path = resolve(path);
+    this.opening = null; // promise of the file handle, opened by the first read
+  }
+
+  async getKey() {
+    return this.path;
+  }
+
+  // Open the file once: concurrent first reads share the same handle. A
+  // failed open is forgotten, so the next read tries again.
+  open() {
+    if (!this.opening) {
+      const opening = open(this.path, 'r');
+      opening.catch(() => {
+        if (this.opening === opening) this.opening = null;
+      });
+      this.opening = opening;
+    }
+    return this.opening;
+  }
+
+  async getBytes(offset, length) {
+    const fileHandle = await this.open();
+
+    const buffer = Buffer.allocUnsafe(length);
+    await fileHandle.read(buffer, 0, length, offset);
+
+    // Convert Buffer to ArrayBuffer for PMTiles
+    const arrayBuffer = buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    );
+
+    return {
+      data: arrayBuffer,
+      etag: undefined,
+      cacheControl: undefined,
+      expires: undefined
+    };
+  }
+
+  // Version of the open file (see fileVersion)
+  async getVersion() {
+    const fileHandle = await this.open();
+    return fileVersion(await fileHandle.stat());
+  }
+
+  async close() {
+    const opening = this.opening;
+    this.opening = null;
+    const fileHandle = await opening?.catch(() => null);
+    await fileHandle?.close();
+  }
+}
+
+// PMTiles v3 archive, a local file or a URL read through an HttpSource
+export class PMTilesArchive {
+  constructor(path, source = new FileSource(path)) {
+    this.path = source instanceof HttpSource ? source.url : resolve(path);
+    this.source = source;
+    this.pmtiles = new PMTiles(source);
+  }
+
+  // The PMTiles reader keeps failed header and directory reads cached, so
+  // after a remote read fails, later reads start over with a new reader
+  // (whose directories come back from the block cache)
+  async read(method, ...args) {
+    const reader = this.pmtiles;
+    try {
+      return await reader[method](...args);
+    } catch (error) {
+      if (this.source instanceof HttpSource && this.pmtiles === reader) {
+        this.pmtiles = new PMTiles(this.source);
+      }
+      throw error;
+    }
+  }
+
+  getHeader() {
+    return this.read('getHeader');
+  }
+
+  getMetadata() {
+    return this.read('getMetadata');
+  }
+
+  async getTile(z, x, y) {
+    const tile = await this.read('getZxy', z, x, y);
+    return tile ? tile.data : null;
+  }
+
+  // Local archives are versioned by the file they read, remote ones by the
+  // ETag (or size and modification time) of their latest header read
+  async getVersion() {
+    if (!(this.source instanceof HttpSource)) {
+      return this.source.getVersion();
+    }
+    await this.getHeader();
+    const version = this.source.getVersion();
+    return version ? createHash('sha1').update(version).digest('hex').slice(0, 12) : 'remote';
+  }
+
+  async close() {
+    await this.source.close?.();
+  }
+}
+
+// MBTiles (SQLite) archive. Rows of the tiles table are in the TMS scheme,
+// counting y from the south. better-sqlite3 is an optional dependency,
+// only loaded when an MBTiles file is opened.
+export class MBTilesArchive {
+  constructor(path) {
+    this.path = resolve(path);
+    this.opening = null; // promise of the open database, shared by concurrent first reads
+    this.database = null;
+    this.tileQuery = null;
+    this.version = null;
+    this.header = null;
+    this.metadata = null;
+  }
+
+  openDatabase() {
+    if (!this.opening) {
+      const opening = this.connect();
+      opening.catch(() => {
+        if (this.opening === opening) this.opening = null;
+      });
+      this.opening = opening;
+    }
+    return this.opening;
+  }
+
+  // Open the database and take the version of the file it opened: the path
+  // is stat'ed before and after, and opened again if it was replaced meanwhile
+  async connect() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`Reading ${basename(this.path)} needs the better-sqlite3 package (npm install better-sqlite3): ` +
+        error.message);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const before = await stat(this.path);
+      const database = new Database(this.path, { readonly: true, fileMustExist: true });
+      const after = await stat(this.path).catch(() => null);
+      if (after && fileVersion(after) === fileVersion(before)) {
+        this.database = database;
+        this.version = fileVersion(before);
+        break;
+      }
+      database.close();
+      if (attempt === 3) {
+        throw new Error(`${basename(this.path)} kept changing while being opened`);
+      }
+    }
+
+    this.tileQuery = this.database.prepare(
+      'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+    );
+  }
+
+  // Rows of the metadata table, with the keys of its optional json row merged in
+  async getMetadata() {
+    if (!this.metadata) {
+      await this.openDatabase();
+      const metadata = {};
+      for (const { name, value } of this.database.prepare('SELECT name, value FROM metadata').all()) {
+        metadata[name] = value;
+      }
+      if (metadata.json) {
+        try {
+          Object.assign(metadata, JSON.parse(metadata.json));
+        } catch (error) {
+          console.warn(`Warning: Invalid json metadata in ${basename(this.path)}: ${error.message}`);
+        }
+        delete metadata.json;
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }
+
+  // Zoom range and bounds from the metadata table. Missing zoom levels are
+  // read from the tiles table, missing bounds cover the world.
+  async getHeader() {
+    if (!this.header) {
+      const metadata = await this.getMetadata();
+      const numbers = value => (value === undefined ? null : String(value).split(',').map(Number));
+
+      let minZoom = metadata.minzoom !== undefined ? Number(metadata.minzoom) : null;
+      let maxZoom = metadata.maxzoom !== undefined ? Number(metadata.maxzoom) : null;
+      if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom)) {
+        const range = this.database.prepare('SELECT MIN(zoom_level) AS min, MAX(zoom_level) AS max FROM tiles').get();
+        minZoom = Number.isInteger(minZoom) ? minZoom : range.min ?? 0;
+        maxZoom = Number.isInteger(maxZoom) ? maxZoom : range.max ?? 0;
+      }
+
+      let bounds = numbers(metadata.bounds);
+      if (!bounds || bounds.length !== 4 || !bounds.every(Number.isFinite)) {
+        bounds = WORLD_BOUNDS;
+      }
+      const [minLon, minLat, maxLon, maxLat] = bounds;
+
+      let center = numbers(metadata.center);
+      if (!center || center.length !== 3 || !center.every(Number.isFinite)) {
+        center = [(minLon + maxLon) / 2, (minLat + maxLat) / 2, Math.floor((minZoom + maxZoom) / 2)];
+      }
+
+      this.header = {
+        minZoom,
+        maxZoom,
+        minLon,
+        minLat,
+        maxLon,
+        maxLat,
+        centerLon: center[0],
+        centerLat: center[1],
+        centerZoom: center[2]
+      };
+    }
+    return this.header;
+  }
+
+  async getTile(z, x, y) {
+    await this.openDatabase();
+    const row = this.tileQuery.get(z, x, Math.pow(2, z) - 1 - y);
+    if (!row) return null;
+
+    // Copy into an ArrayBuffer of its own, so it can be transferred to a worker
+    const data = row.tile_data;
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+
+  async getVersion() {
+    await this.openDatabase();
+    return this.version;
+  }
+
+  async close() {
+    const opening = this.opening;
+    this.opening = null;
+    await opening?.catch(() => {});
+    this.database?.close();
+    this.database = null;
+  }
+}
+
+// Open a tile archive by its file extension. Archives at an http(s) URL must be
+// PMTiles and are read with range requests; remoteOptions are the options of
+// their HttpSource.
+export function openArchive(path, remoteOptions = {}) {
+  if (isRemoteLocation(path)) {
+    if (extname(new URL(path).pathname).toLowerCase() === '.mbtiles') {
+      throw new Error(`MBTiles can only be read from local files: ${path}`);
+    }
+    return new PMTilesArchive(path, new HttpSource(path, remoteOptions));
+  }
+
+  switch (extname(path).toLowerCase()) {
+    case '.pmtiles':
+      return new PMTilesArchive(path);
+    case '.mbtiles':
+      return new MBTilesArchive(path);
+    default:
+      throw new Error(`Unsupported archive format: ${basename(path)}`);
+  }
+}
+
+// Virtual archive stacking the archives of other tilesets ({ name, archive,
+// config }), highest priority first. DEM tiles are taken tile by tile from
+// the first layer that has them (see demSourceFor); the header covers the
+// bounds and zoom levels of all layers. The layers' archives stay owned by
+// their tilesets, so closing it closes nothing.
+export class CompositeArchive {
+  constructor(layers) {
+    this.layers = layers;
+    this.path = null;
+  }
+
+  async getHeader() {
+    const headers = await Promise.all(this.layers.map(layer => layer.archive.getHeader()));
+    const minLon = Math.min(...headers.map(header => header.minLon));
+    const minLat = Math.min(...headers.map(header => header.minLat));
+    const maxLon = Math.max(...headers.map(header => header.maxLon));
+    const maxLat = Math.max(...headers.map(header => header.maxLat));
+    const minZoom = Math.min(...headers.map(header => header.minZoom));
+    const maxZoom = Math.max(...headers.map(header => header.maxZoom));
+
+    return {
+      minZoom,
+      maxZoom,
+      minLon,
+      minLat,
+      maxLon,
+      maxLat,
+      centerLon: (minLon + maxLon) / 2,
+      centerLat: (minLat + maxLat) / 2,
+      centerZoom: Math.floor((minZoom + maxZoom) / 2)
+    };
+  }
+
+  // Metadata of the layers, higher priority layers winning, with the
+  // attributions of all layers
+  async getMetadata() {
+    const metadata = await Promise.all(this.layers.map(layer => layer.archive.getMetadata()));
+    const attributions = [...new Set(metadata.map(entry => entry?.attribution).filter(Boolean))];
+
+    const merged = Object.assign({}, ...metadata.slice().reverse());
+    delete merged.encoding;
+    if (attributions.length > 0) {
+      merged.attribution = attributions.join(' | ');
+    }
+    return merged;
+  }
+
+  async getTile(z, x, y) {
+    for (const layer of this.layers) {
+      const tile = await layer.archive.getTile(z, x, y);
+      if (tile) return tile;
+    }
+    return null;
+  }
+
+  async getVersion() {
+    const versions = await Promise.all(this.layers.map(layer => layer.archive.getVersion()));
+    return createHash('sha1').update(versions.join('|')).digest('hex').slice(0, 12);
+  }
+
+  async close() {}
+}
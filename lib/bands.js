@@ -0,0 +1,168 @@
+// Filled elevation bands (isobands) for hypsometric tinting.
+// d3-contour gives, for each threshold, the area at or above it as polygons.
+// The band between two thresholds is the area above the lower one minus the
+// area above the upper one: its exterior rings are the lower threshold's
+// exteriors and the upper threshold's holes, and its holes the lower
+// threshold's holes and the upper threshold's exteriors. Each hole is then
+// attached to the smallest exterior containing it.
+
+import { contours } from 'd3-contour';
+import { simplifyLine } from './simplify.js';
+import { FEET_PER_METER } from './contours.js';
+
+const OUTPUT_TILE_SIZE = 256;
+
+// Signed ring area (surveyor's formula). With y pointing down, as in tiles,
+// clockwise rings are positive.
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return sum / 2;
+}
+
+// Ray casting point-in-ring test
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Whether a point lies on one of a ring's edges
+function onRing(ring, [x, y]) {
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const cross = (xj - xi) * (y - yi) - (yj - yi) * (x - xi);
+    if (Math.abs(cross) < 1e-9 &&
+        x >= Math.min(xi, xj) && x <= Math.max(xi, xj) && y >= Math.min(yi, yj) && y <= Math.max(yi, yj)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Whether a ring lies inside another. Rings never cross, but rings closed
+// along the grid edge share parts of it, so the first vertex off the outer
+// ring decides. A ring entirely on the other one counts as inside.
+function ringWithin(inner, outer) {
+  for (const point of inner) {
+    if (!onRing(outer, point)) {
+      return ringContains(outer, point);
+    }
+  }
+  return true;
+}
+
+// Exterior and hole rings of the area at or above a threshold. Each ring is
+// kept as generated, for containment tests, and simplified once for output,
+// so both bands bounded by it get identical boundaries.
+function ringsAbove(generator, elevations, threshold, tolerance) {
+  const exteriors = [];
+  const holes = [];
+
+  for (const polygon of generator.contour(elevations, threshold).coordinates) {
+    polygon.forEach((ring, index) => {
+      const simplified = simplifyLine(ring, tolerance);
+      if (simplified.length < 4) return;
+      (index === 0 ? exteriors : holes).push({ ring, simplified });
+    });
+  }
+
+  return { exteriors, holes };
+}
+
+// Group band rings into polygons of [exterior, ...holes], wound as MVT
+// expects: exteriors clockwise and holes counterclockwise (y down)
+function assemblePolygons(exteriors, holes) {
+  const polygons = exteriors.map(({ ring, simplified }) => {
+    const oriented = ringArea(simplified) > 0 ? simplified : simplified.slice().reverse();
+    return { ring, rings: [oriented], area: Math.abs(ringArea(ring)) };
+  });
+
+  for (const { ring, simplified } of holes) {
+    let owner = null;
+    for (const polygon of polygons) {
+      if ((!owner || polygon.area < owner.area) && ringWithin(ring, polygon.ring)) {
+        owner = polygon;
+      }
+    }
+    if (owner) {
+      owner.rings.push(ringArea(simplified) < 0 ? simplified : simplified.slice().reverse());
+    }
+  }
+
+  return polygons.map(polygon => polygon.rings);
+}
+
+// Band boundaries from the first one at or below min to the first one above
+// max: multiples of seaInterval below sea level and of interval above it
+export function bandThresholds(min, max, interval, seaInterval = interval) {
+  let threshold = min < 0
+    ? Math.floor(min / seaInterval) * seaInterval
+    : Math.floor(min / interval) * interval;
+  const thresholds = [threshold];
+
+  while (threshold <= max) {
+    threshold = threshold < 0 ? Math.min(threshold + seaInterval, 0) : threshold + interval;
+    thresholds.push(threshold);
+  }
+  return thresholds;
+}
+
+// Generate the elevation bands of a grid, every interval (in units) and
+// every seaInterval below sea level. tolerance is the simplification
+// tolerance in output tile pixels and tileWidth the DEM tile size. Returns
+// { min, max, polygons } features with polygons of rings in grid pixel
+// coordinates.
+export function generateBands(elevationData, width, height, interval, units, tolerance, tileWidth, seaInterval = interval) {
+  const scale = units === 'feet' ? FEET_PER_METER : 1;
+  const elevations = scale === 1 ? elevationData : elevationData.map(elevation => elevation * scale);
+  const pixelTolerance = tolerance * tileWidth / OUTPUT_TILE_SIZE;
+
+  let minEle = Infinity;
+  let maxEle = -Infinity;
+  for (let i = 0; i < width * height; i++) {
+    if (elevations[i] < minEle) minEle = elevations[i];
+    if (elevations[i] > maxEle) maxEle = elevations[i];
+  }
+  if (minEle > maxEle) {
+    return [];
+  }
+
+  const generator = contours().size([width, height]);
+  const thresholds = bandThresholds(minEle, maxEle, interval, seaInterval);
+
+  const bands = [];
+  let lower = ringsAbove(generator, elevations, thresholds[0], pixelTolerance);
+
+  for (let k = 1; k < thresholds.length; k++) {
+    const upper = ringsAbove(generator, elevations, thresholds[k], pixelTolerance);
+    const polygons = assemblePolygons(
+      [...lower.exteriors, ...upper.holes],
+      [...lower.holes, ...upper.exteriors]
+    );
+
+    if (polygons.length > 0) {
+      bands.push({ min: thresholds[k - 1], max: thresholds[k], polygons });
+    }
+    lower = upper;
+  }
+
+  return bands;
+}
+
+// Shift band rings from buffered grid to tile pixel coordinates
+export function translateBands(bands, buffer) {
+  return bands.map(band => ({
+    ...band,
+    polygons: band.polygons.map(rings => rings.map(ring => ring.map(([x, y]) => [x - buffer, y - buffer])))
+  }));
+}
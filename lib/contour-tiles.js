@@ -0,0 +1,126 @@
+import { FEET_PER_METER } from './contours.js';
+import { valueForZoom } from './thresholds.js';
+
+// Parameters of the contours task for a tileset's tile at zoom z.
+// units, levels, seaLevels and area are the request's (see levelsForZoom and
+// generateContours); bands, spotHeights and labels switch the optional layers.
+export function contourTileParams(config, z, { units, levels, seaLevels, area, bands, spotHeights, labels }) {
+  // Elevation bands span the major interval (the only one with a single
+  // interval), of the sea levels below sea level when there are any
+  const bandInterval = bands && levels.length > 0 ? (levels[1] ?? levels[0]) : null;
+  const seaBandInterval = bandInterval && seaLevels.length > 0 ? (seaLevels[1] ?? seaLevels[0]) : bandInterval;
+
+  // The spot height prominence is configured in the tileset's units
+  const prominenceScale = units === config.units ? 1
+    : units === 'feet' ? FEET_PER_METER : 1 / FEET_PER_METER;
+
+  return {
+    levels,
+    seaLevels,
+    area,
+    units,
+    simplifyTolerance: valueForZoom(config.simplifyTolerance, z, 0),
+    smoothIterations: config.smoothIterations,
+    bandInterval,
+    seaBandInterval,
+    spotHeights: spotHeights ? {
+      minProminence: valueForZoom(config.spotHeightProminence, z, 0) * prominenceScale,
+      limit: valueForZoom(config.spotHeightLimit, z, 0)
+    } : null,
+    labelSpacing: labels ? valueForZoom(config.contourLabelSpacing, z, null) : null,
+    bathymetry: config.bathymetry
+  };
+}
+
+// Generate contour tile z/x/y of a DEM source (see demSourceFor) as MVT,
+// with parameters from contourTileParams. Neighbour tiles are stitched
+// around it (buffer=1 like maplibre-contour) and the work runs on the worker pool.
+// Resolves to null when the tile does not exist, and otherwise to
+// { buffer, partial }: buffer is empty when the tile has no features, and
+// partial tells that a neighbour failed to load (see fetchTileWithBuffer).
+export async function generateContourTile(demTiles, workerPool, source, z, x, y, params) {
+  const { tiles, positions, partial } = await demTiles.fetchTileWithBuffer(source, z, x, y);
+
+  const result = await workerPool.run('contours', {
+    tiles,
+    positions,
+    bufferPixels: 1,
+    z,
+    x,
+    y,
+    ...params
+  });
+
+  return result ? { buffer: Buffer.from(result.buffer, result.byteOffset, result.byteLength), partial } : null;
+}
+
+// vector_layers of a tileset's contour tiles, for TileJSON and PMTiles metadata
+export function contourVectorLayers(config, units, minzoom, maxzoom) {
+  const bathymetryFields = config.bathymetry ? {
+    bathymetry: 'Boolean - True below sea level',
+    depth: `Number - Depth below sea level in ${units}, below sea level only`
+  } : {};
+  const contourFields = {
+    ele: `Number - Elevation in ${units}`,
+    ele_m: 'Number - Elevation in meters, to 0.1 m',
+    ele_ft: 'Number - Elevation in feet, to 0.1 ft',
+    ...bathymetryFields,
+    level: 'Number - Index of the largest threshold interval dividing the elevation (0 for minor contours)'
+  };
+
+  return [
+    {
+      id: 'contours',
+      description: config.bathymetry === 'layer'
+        ? 'Elevation contour lines at and above sea level'
+        : 'Elevation contour lines',
+      minzoom,
+      maxzoom,
+      fields: contourFields
+    },
+    ...(config.bathymetry === 'layer' ? [{
+      id: 'bathymetry',
+      description: 'Depth contour lines below sea level',
+      minzoom,
+      maxzoom,
+      fields: contourFields
+    }] : []),
+    ...(config.contourBands ? [{
+      id: 'contour_bands',
+      description: 'Filled elevation bands, one (multi)polygon per major interval',
+      minzoom,
+      maxzoom,
+      fields: {
+        ele_min: `Number - Lower elevation of the band in ${units}`,
+        ele_max: `Number - Upper elevation of the band in ${units}`
+      }
+    }] : []),
+    ...(config.spotHeights ? [{
+      id: 'spot_heights',
+      description: 'Summits ranked by prominence',
+      minzoom,
+      maxzoom,
+      fields: {
+        ele: `Number - Elevation in ${units}`,
+        ele_m: 'Number - Elevation in meters, to 0.1 m',
+        ele_ft: 'Number - Elevation in feet, to 0.1 ft',
+        ...bathymetryFields,
+        prominence: `Number - Height above the highest col connecting to higher ground, in ${units}`
+      }
+    }] : []),
+    ...(config.contourLabels ? [{
+      id: 'contour_labels',
+      description: 'Label anchors on straight stretches of major contours',
+      minzoom,
+      maxzoom,
+      fields: {
+        ele: `Number - Elevation in ${units}`,
+        ele_m: 'Number - Elevation in meters, to 0.1 m',
+        ele_ft: 'Number - Elevation in feet, to 0.1 ft',
+        ...bathymetryFields,
+        level: 'Number - Contour level of the labelled line',
+        rotation: 'Number - Text rotation in degrees clockwise, with the top of the text uphill'
+      }
+    }] : [])
+  ];
+}
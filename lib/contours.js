@@ -0,0 +1,463 @@
+import vtpbf from 'vt-pbf';
+import sharp from 'sharp';
+import { generateIsolines } from './isolines.js';
+
+export const FEET_PER_METER = 3.28084;
+const EARTH_CIRCUMFERENCE = 40075016.686; // meters at the equator
+
+// Decode image from tile buffer (supports PNG, WebP, JPEG)
+export async function decodeImage(buffer) {
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data: new Uint8ClampedArray(data),
+    width: info.width,
+    height: info.height
+  };
+}
+
+// Decode elevation from RGB values
+export function decodeElevation(r, g, b, encoding) {
+  if (encoding === 'terrarium') {
+    return r * 256 + g + b / 256 - 32768;
+  } else if (encoding === 'mapbox') {
+    return -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
+  }
+  throw new Error(`Unknown encoding: ${encoding}`);
+}
+
+// Largest difference between a decoded elevation and a configured nodata
+// value still counted as nodata, allowing for the rounding of decoding
+const NODATA_TOLERANCE = 0.001;
+
+// Decode RGBA pixels into a grid of elevations in meters.
+// Transparent pixels and pixels decoding to one of the nodata elevations
+// become NaN, the nodata value of elevation grids.
+// Writes into target when given (e.g. a view on shared memory).
+export function decodeElevations(imageData, width, height, encoding, target = new Float32Array(width * height), nodata = []) {
+  for (let i = 0; i < width * height; i++) {
+    const pixelIndex = i * 4;
+    const elevation = decodeElevation(imageData[pixelIndex], imageData[pixelIndex + 1], imageData[pixelIndex + 2], encoding);
+    target[i] = imageData[pixelIndex + 3] === 0 || nodata.some(value => Math.abs(elevation - value) < NODATA_TOLERANCE)
+      ? NaN
+      : elevation;
+  }
+  return target;
+}
+
+// Whether an elevation grid has nodata pixels
+export function hasNodata(data) {
+  for (let i = 0; i < data.length; i++) {
+    if (Number.isNaN(data[i])) return true;
+  }
+  return false;
+}
+
+// Generate contour lines from a grid of elevations in meters.
+// Returns one MultiLineString-like feature per elevation ({ value, level, coordinates }).
+// levels lists the contour intervals, smallest first (see lib/thresholds.js),
+// and seaLevels those below sea level; intervals and the resulting contour
+// values are in the given units ('meters' or 'feet'). area limits the
+// contours to 'land' (at and above sea level) or 'sea' (at and below it).
+export function generateContours(elevationData, width, height, levels, units = 'meters', seaLevels = levels, area = 'all') {
+  const scale = units === 'feet' ? FEET_PER_METER : 1;
+  const unitSuffix = units === 'feet' ? 'ft' : 'm';
+  const elevations = scale === 1 ? elevationData : elevationData.map(elevation => elevation * scale);
+
+  let minEle = Infinity;
+  let maxEle = -Infinity;
+
+  for (let i = 0; i < width * height; i++) {
+    const elevation = elevations[i];
+    if (elevation < minEle) minEle = elevation;
+    if (elevation > maxEle) maxEle = elevation;
+  }
+
+  if (minEle > maxEle) {
+    console.log('Tile has no elevation data');
+    return [];
+  }
+
+  console.log(`Tile elevation range: ${minEle.toFixed(1)}${unitSuffix} - ${maxEle.toFixed(1)}${unitSuffix}`);
+
+  // Land contours from sea level up and sea contours below it (or from sea
+  // level down, without land contours), each at every multiple of the
+  // smallest interval of its side
+  const withLand = area !== 'sea' && levels.length > 0;
+  const withSea = area !== 'land' && seaLevels.length > 0;
+  const sides = [];
+  if (withLand) sides.push({ levels, min: 0, max: Infinity });
+  if (withSea) sides.push({ levels: seaLevels, min: -Infinity, max: withLand ? -seaLevels[0] : 0 });
+
+  const contourFeatures = [];
+  for (const side of sides) {
+    if (maxEle < side.min || minEle > side.max) continue;
+
+    const isolines = generateIsolines(elevations, width, height, side.levels[0], side.min, side.max);
+    for (const [value, lines] of isolines) {
+      contourFeatures.push({
+        type: 'MultiLineString',
+        value,
+        level: contourLevel(value, side.levels),
+        coordinates: lines
+      });
+    }
+  }
+  contourFeatures.sort((a, b) => a.value - b.value);
+
+  console.log(`Generated ${contourFeatures.length} contour features`);
+
+  return contourFeatures;
+}
+
+// Index of the largest interval that divides an elevation
+function contourLevel(value, levels) {
+  for (let i = levels.length - 1; i > 0; i--) {
+    const remainder = Math.abs(value % levels[i]);
+    if (remainder < 0.01 || levels[i] - remainder < 0.01) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+// Calculate tile bounds in geographic coordinates
+export function tileBounds(z, x, y) {
+  const n = Math.pow(2, z);
+  const lon1 = (x / n) * 360 - 180;
+  const lon2 = ((x + 1) / n) * 360 - 180;
+  const lat1 = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+  const lat2 = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n))) * 180 / Math.PI;
+  return { west: lon1, south: lat2, east: lon2, north: lat1 };
+}
+
+// Ground distance in meters covered by one pixel at a latitude (degrees)
+export function groundResolution(lat, z, tileSize) {
+  return EARTH_CIRCUMFERENCE * Math.cos(lat * Math.PI / 180) / (Math.pow(2, z) * tileSize);
+}
+
+// Ground distance in meters covered by one pixel at a row of a Web Mercator tile
+export function pixelGroundResolution(z, y, row, tileSize) {
+  const n = Math.pow(2, z);
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + row / tileSize) / n))) * 180 / Math.PI;
+  return groundResolution(lat, z, tileSize);
+}
+
+// Build a layer in geojson-vt tile format, which vt-pbf encodes
+function vectorTileLayer(features, z, x, y, extent) {
+  return {
+    features,
+    numPoints: features.reduce((sum, f) => sum + f.geometry.reduce((n, line) => n + line.length, 0), 0),
+    numSimplified: 0,
+    numFeatures: features.length,
+    source: null,
+    x,
+    y,
+    z,
+    transformed: false,
+    minX: 0,
+    minY: 0,
+    maxX: extent,
+    maxY: extent
+  };
+}
+
+// Polygon features of elevation bands (see generateBands), one per band.
+// Polygons whose exterior collapses when rounded to the extent are dropped.
+function bandFeatures(bands, width, height, extent) {
+  const features = [];
+
+  for (const band of bands) {
+    const geometry = [];
+    for (const rings of band.polygons) {
+      const tileRings = rings.map(ring => ring.map(([px, py]) => [
+        Math.round((px / width) * extent),
+        Math.round((py / height) * extent)
+      ]));
+      if (tileRings[0].length < 4) continue;
+      geometry.push(...tileRings.filter(ring => ring.length >= 4));
+    }
+
+    if (geometry.length > 0) {
+      features.push({
+        geometry,
+        type: 3, // Polygon in geojson-vt format
+        tags: { ele_min: band.min, ele_max: band.max }
+      });
+    }
+  }
+
+  return features;
+}
+
+// Whether an elevation (in any units) lies in a contour area: 'land' (at and
+// above sea level), 'sea' (at and below it) or 'all'
+export function inArea(value, area) {
+  return area === 'land' ? value >= 0 : area === 'sea' ? value <= 0 : true;
+}
+
+// Bathymetry attributes of a feature when bathymetry is enabled: bathymetry,
+// true below sea level, and there the depth, positive and rounded in the
+// tile's units
+export function bathymetryTags(value, bathymetry) {
+  if (!bathymetry) return {};
+  return value < 0 ? { bathymetry: true, depth: Math.round(-value) } : { bathymetry: false };
+}
+
+// Elevation attributes of a feature: ele rounded in the tile's units, plus
+// ele_m and ele_ft to a tenth in meters and feet whatever the units
+export function elevationTags(value, units) {
+  const meters = units === 'feet' ? value / FEET_PER_METER : value;
+  return {
+    ele: Math.round(value),
+    ele_m: Math.round(meters * 10) / 10,
+    ele_ft: Math.round(meters * FEET_PER_METER * 10) / 10
+  };
+}
+
+// Point features of spot heights (see findSpotHeights)
+function spotHeightFeatures(spotHeights, width, height, extent, units, bathymetry) {
+  return spotHeights.map(point => ({
+    geometry: [[Math.round((point.x / width) * extent), Math.round((point.y / height) * extent)]],
+    type: 1, // Point in geojson-vt format
+    tags: {
+      ...elevationTags(point.ele, units),
+      ...bathymetryTags(point.ele, bathymetry),
+      prominence: Math.round(point.prominence)
+    }
+  }));
+}
+
+// Point features of contour label anchors (see placeContourLabels)
+function labelFeatures(labels, width, height, extent, units, bathymetry) {
+  return labels.map(label => ({
+    geometry: [[Math.round((label.x / width) * extent), Math.round((label.y / height) * extent)]],
+    type: 1, // Point in geojson-vt format
+    tags: {
+      ...elevationTags(label.ele, units),
+      ...bathymetryTags(label.ele, bathymetry),
+      level: label.level,
+      rotation: Math.round(label.rotation)
+    }
+  }));
+}
+
+// Encode contours to MVT. units are those of the contour values. Optional
+// layers: bands (see generateBands) become the contour_bands layer,
+// spotHeights (see findSpotHeights) the spot_heights layer and labels
+// (see placeContourLabels) the contour_labels layer. With bathymetry, lines
+// and points get bathymetry attributes (see bathymetryTags), and with
+// bathymetry 'layer' contours below sea level go to the bathymetry layer.
+export function encodeMVT(contourFeatures, width, height, z, x, y, {
+  units = 'meters', bands = null, spotHeights = null, labels = null, bathymetry = false
+} = {}) {
+  const extent = 4096;
+  const features = [];
+  const depthFeatures = [];
+
+  for (const contour of contourFeatures) {
+    if (!contour.coordinates || contour.coordinates.length === 0) continue;
+
+    const level = contour.level;
+
+    // One feature per elevation, with each line as a part of the geometry
+    const geometry = [];
+    for (const line of contour.coordinates) {
+      const tileLine = [];
+      for (const [px, py] of line) {
+        const tileX = Math.round((px / width) * extent);
+        const tileY = Math.round((py / height) * extent);
+        tileLine.push([tileX, tileY]);
+      }
+
+      if (tileLine.length > 1) {
+        geometry.push(tileLine);
+      }
+    }
+
+    if (geometry.length > 0) {
+      const target = bathymetry === 'layer' && contour.value < 0 ? depthFeatures : features;
+      target.push({
+        geometry,
+        type: 2, // LineString in geojson-vt format
+        tags: { ...elevationTags(contour.value, units), ...bathymetryTags(contour.value, bathymetry), level }
+      });
+    }
+  }
+
+  console.log(`Encoding ${features.length + depthFeatures.length} LineString features to MVT`);
+
+  // Build tile in geojson-vt format manually
+  const layers = { contours: vectorTileLayer(features, z, x, y, extent) };
+  if (bathymetry === 'layer') {
+    layers.bathymetry = vectorTileLayer(depthFeatures, z, x, y, extent);
+  }
+  if (bands) {
+    const polygons = bandFeatures(bands, width, height, extent);
+    console.log(`Encoding ${polygons.length} Polygon band features to MVT`);
+    layers.contour_bands = vectorTileLayer(polygons, z, x, y, extent);
+  }
+  if (spotHeights) {
+    console.log(`Encoding ${spotHeights.length} spot height features to MVT`);
+    layers.spot_heights = vectorTileLayer(spotHeightFeatures(spotHeights, width, height, extent, units, bathymetry), z, x, y, extent);
+  }
+  if (labels) {
+    console.log(`Encoding ${labels.length} contour label features to MVT`);
+    layers.contour_labels = vectorTileLayer(labelFeatures(labels, width, height, extent, units, bathymetry), z, x, y, extent);
+  }
+
+  // Encode to MVT protobuf
+  const buffer = vtpbf.fromGeojsonVt(layers, { version: 2 });
+  console.log(`MVT buffer: ${buffer.length} bytes, type: ${typeof buffer}, isBuffer: ${Buffer.isBuffer(buffer)}`);
+
+  if (!Buffer.isBuffer(buffer)) {
+    console.log('WARNING: vt-pbf returned non-buffer:', buffer.constructor.name);
+    return Buffer.from(buffer);
+  }
+
+  return buffer;
+}
+
+// Stitch the center elevation tile and a buffer of pixels from its 8 neighbors
+// into one grid (like maplibre-contour does).
+// Pixels of missing neighbors are nodata, and the edges of the data are
+// extrapolated one pixel into nodata (see extrapolateEdges).
+export function stitchTiles(tiles, positions, bufferPixels = 1) {
+  // Find a valid tile to get dimensions
+  const validTile = tiles.find(t => t !== null);
+  if (!validTile) return null;
+
+  const tileWidth = validTile.width;
+  const tileHeight = validTile.height;
+
+  // Extract only center tile + buffer
+  // This gives us: [tileWidth - buffer] to [tileWidth + tileWidth + buffer] of the 3x3 grid
+  const extractWidth = tileWidth + bufferPixels * 2;
+  const extractHeight = tileHeight + bufferPixels * 2;
+  const extractData = new Float32Array(extractWidth * extractHeight).fill(NaN);
+
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[i];
+    if (!tile) continue;
+
+    const pos = positions[i];
+
+    // Position of this tile's top-left pixel in the extracted grid
+    const offsetX = pos.x * tileWidth + bufferPixels;
+    const offsetY = pos.y * tileHeight + bufferPixels;
+
+    // Overlap of the tile with the extracted grid
+    const minX = Math.max(0, -offsetX);
+    const maxX = Math.min(tileWidth, extractWidth - offsetX);
+    const minY = Math.max(0, -offsetY);
+    const maxY = Math.min(tileHeight, extractHeight - offsetY);
+    if (minX >= maxX || minY >= maxY) continue;
+
+    for (let py = minY; py < maxY; py++) {
+      const srcStart = py * tileWidth;
+      const dstStart = (offsetY + py) * extractWidth + offsetX;
+      extractData.set(tile.data.subarray(srcStart + minX, srcStart + maxX), dstStart + minX);
+    }
+  }
+
+  extrapolateEdges(extractData, extractWidth, extractHeight);
+
+  return {
+    data: extractData,
+    width: extractWidth,
+    height: extractHeight,
+    tileWidth,
+    tileHeight,
+    buffer: bufferPixels
+  };
+}
+
+// Directions to the 8 neighbors of a pixel
+const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Extend the elevations of a grid one pixel into its nodata (NaN) pixels.
+// A nodata pixel next to data gets the average of the data's linear
+// extrapolation towards it from each side, so contours and gradients reach
+// the edge of the data instead of stopping half a pixel short. Pixels further
+// into nodata stay NaN: marching squares skips cells with a NaN corner, so no
+// contours are generated across nodata.
+export function extrapolateEdges(data, width, height) {
+  const edges = [];
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      if (!Number.isNaN(data[j * width + i])) continue;
+
+      let sum = 0;
+      let count = 0;
+      for (const [dx, dy] of NEIGHBORS) {
+        const x = i + dx;
+        const y = j + dy;
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        const near = data[y * width + x];
+        if (Number.isNaN(near)) continue;
+
+        // Continue the slope between the neighbor and the pixel beyond it
+        const farX = x + dx;
+        const farY = y + dy;
+        const far = farX >= 0 && farY >= 0 && farX < width && farY < height ? data[farY * width + farX] : NaN;
+        sum += Number.isNaN(far) ? near : 2 * near - far;
+        count++;
+      }
+
+      if (count > 0) {
+        edges.push(j * width + i, sum / count);
+      }
+    }
+  }
+
+  for (let k = 0; k < edges.length; k += 2) {
+    data[edges[k]] = edges[k + 1];
+  }
+}
+
+// Clip contours generated on buffered tile to output tile bounds
+export function clipContoursToTile(contourFeatures, tileWidth, tileHeight, buffer) {
+  // Contours are generated on image of size (tileWidth + 2*buffer)
+  // We need to translate them so buffer region maps outside [0, tileWidth]
+  // Points at buffer position should map to 0, points at (tileWidth+buffer) should map to tileWidth
+
+  const clippedFeatures = [];
+
+  for (const feature of contourFeatures) {
+    if (!feature.coordinates || feature.coordinates.length === 0) continue;
+
+    const clippedCoordinates = [];
+
+    for (const line of feature.coordinates) {
+      const clippedLine = [];
+
+      for (const [x, y] of line) {
+        // Translate coordinates: buffer pixels should become 0
+        const tx = x - buffer;
+        const ty = y - buffer;
+
+        // Keep all points (including those in buffer zone that extend beyond tile)
+        // MVT encoding will handle values outside [0, tileWidth] naturally
+        clippedLine.push([tx, ty]);
+      }
+
+      // Keep lines with enough points
+      if (clippedLine.length > 1) {
+        clippedCoordinates.push(clippedLine);
+      }
+    }
+
+    if (clippedCoordinates.length > 0) {
+      clippedFeatures.push({
+        ...feature,
+        coordinates: clippedCoordinates
+      });
+    }
+  }
+
+  return clippedFeatures;
+}
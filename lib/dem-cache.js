@@ -0,0 +1,60 @@
+import { LRUCache } from './lru-cache.js';
+
+// Nominal size charged for remembering that a tile does not exist
+const MISSING_TILE_SIZE = 64;
+
+// Cache of decoded DEM tiles shared by all tile requests.
+// Concurrent requests for the same tile share one in-flight load, so a
+// viewport of neighbouring tiles fetches and decodes each DEM tile once.
+export class DemCache {
+  constructor(maxBytes) {
+    this.lru = new LRUCache({
+      maxSize: maxBytes,
+      sizeOf: tile => (tile ? tile.data.byteLength : MISSING_TILE_SIZE)
+    });
+    this.pending = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Return the decoded tile for key, calling load() on a miss.
+  // load() resolves to { data, width, height } or null for a missing tile;
+  // rejections are passed on to every waiting caller and not cached, and
+  // neither are partial tiles (built without some of their neighbours).
+  async get(key, load) {
+    const cached = this.lru.get(key);
+    if (cached !== undefined) {
+      this.hits++;
+      return cached;
+    }
+
+    const pending = this.pending.get(key);
+    if (pending) {
+      this.hits++;
+      return pending;
+    }
+
+    this.misses++;
+    const promise = load()
+      .then(tile => {
+        if (!tile?.partial) this.lru.set(key, tile);
+        return tile;
+      })
+      .finally(() => {
+        this.pending.delete(key);
+      });
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  stats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      entries: this.lru.count,
+      bytes: this.lru.size,
+      maxBytes: this.lru.maxSize
+    };
+  }
+}
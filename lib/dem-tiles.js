@@ -0,0 +1,169 @@
+import { createHash } from 'crypto';
+import { QueueFullError } from './worker-pool.js';
+import { CompositeArchive } from './archives.js';
+
+// Describe where a request reads DEM tiles from: the archive, the source
+// version (for cache keys) and how to decode and overzoom its tiles.
+// The version covers the decoding settings as well as the archive, so
+// changing the encoding or nodata values of a tileset never serves tiles
+// decoded with the old ones.
+// A composite archive's source has the sources of its layers instead,
+// highest priority first, overzoomed as configured for the composite.
+export async function demSourceFor(tileset, archive, config) {
+  if (archive instanceof CompositeArchive) {
+    const layers = await Promise.all(archive.layers.map(async layer => ({
+      ...await demSourceFor(layer.name, layer.archive, layer.config),
+      resampling: config.resampling
+    })));
+    return {
+      name: tileset,
+      version: sourceVersion(layers.map(layer => layer.version)),
+      layers,
+      minZoom: Math.min(...layers.map(layer => layer.minZoom)),
+      maxZoom: Math.max(...layers.map(layer => layer.maxZoom)),
+      resampling: config.resampling
+    };
+  }
+
+  const header = await archive.getHeader();
+  return {
+    name: tileset,
+    version: sourceVersion([await archive.getVersion(), config.encoding, config.nodata]),
+    archive,
+    encoding: config.encoding,
+    nodata: config.nodata,
+    minZoom: header.minZoom,
+    maxZoom: header.maxZoom,
+    resampling: config.resampling
+  };
+}
+
+function sourceVersion(parts) {
+  return createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 12);
+}
+
+// Decoded DEM tiles of DEM sources (see demSourceFor), read through a shared
+// decoded-DEM cache and decoded or resampled on the worker pool.
+// Tiles built from a neighbourhood in which a neighbour failed to load are
+// marked partial: they are served, but neither cached nor used to fill caches.
+export class DemTiles {
+  constructor(demCache, workerPool) {
+    this.demCache = demCache;
+    this.workerPool = workerPool;
+  }
+
+  // Fetch and decode a single DEM tile through the shared decoded-DEM cache.
+  // Tiles beyond the archive's max zoom are resampled from their ancestor.
+  async fetchTile(source, z, x, y) {
+    if (source.layers) {
+      return this.fetchLayeredTile(source, z, x, y);
+    }
+    if (z > source.maxZoom) {
+      return this.fetchOverzoomedTile(source, z, x, y);
+    }
+
+    return this.demCache.get(`${source.name}/${source.version}/${source.encoding}/${z}/${x}/${y}`, async () => {
+      const buffer = await source.archive.getTile(z, x, y);
+      if (!buffer) return null;
+
+      return this.workerPool.run('decode', { buffer, encoding: source.encoding, nodata: source.nodata }, [buffer]);
+    });
+  }
+
+  // A tile of a composite source from its first layer that has it, natively
+  // or overzoomed from an ancestor. Nodata pixels of the tile are filled from
+  // the layers after it.
+  async fetchLayeredTile(source, z, x, y, first = 0) {
+    for (let i = first; i < source.layers.length; i++) {
+      const tile = await this.fetchTile(source.layers[i], z, x, y);
+      if (!tile) continue;
+      if (!tile.hasNodata || i === source.layers.length - 1) return tile;
+
+      const key = `${source.name}/${source.version}/${z}/${x}/${y}/${source.resampling}/${i}`;
+      return this.demCache.get(key, async () => {
+        const fallback = await this.fetchLayeredTile(source, z, x, y, i + 1);
+        if (!fallback) return tile;
+
+        const filled = await this.workerPool.run('fill', {
+          tile: { data: tile.data, width: tile.width, height: tile.height },
+          fallback: { data: fallback.data, width: fallback.width, height: fallback.height }
+        });
+        return tile.partial || fallback.partial ? { ...filled, partial: true } : filled;
+      });
+    }
+    return null;
+  }
+
+  // Cut an overzoomed DEM tile out of its ancestor at the archive's max zoom.
+  // The ancestor's neighbors are fetched too, so interpolation is seamless
+  // across ancestor boundaries.
+  async fetchOverzoomedTile(source, z, x, y) {
+    const key = `${source.name}/${source.version}/${source.encoding}/${z}/${x}/${y}/${source.resampling}`;
+
+    return this.demCache.get(key, async () => {
+      const dz = z - source.maxZoom;
+      const ancestorX = x >> dz;
+      const ancestorY = y >> dz;
+
+      const { tiles, positions, partial } = await this.fetchTileWithBuffer(source, source.maxZoom, ancestorX, ancestorY);
+      if (!tiles[4]) return null;
+
+      const tile = await this.workerPool.run('overzoom', {
+        tiles,
+        positions,
+        dz,
+        offsetX: x - (ancestorX << dz),
+        offsetY: y - (ancestorY << dz),
+        method: source.resampling
+      });
+      return partial && tile ? { ...tile, partial: true } : tile;
+    });
+  }
+
+  // Fetch tile with neighbors for buffered contour generation. Resolves to
+  // { tiles, positions, partial }, partial when a neighbour failed to load
+  // (or was itself partial) and is missing from tiles though it may exist.
+  // Failures of the center tile reject.
+  async fetchTileWithBuffer(source, z, x, y) {
+    const positions = [];
+
+    // 3x3 grid of tiles (center + 8 neighbors)
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        positions.push({ x: dx, y: dy });
+      }
+    }
+
+    // Fetch all neighbors in parallel; a failed neighbor is left out, except
+    // for a full worker queue which fails the whole request
+    let partial = false;
+    const tiles = await Promise.all(positions.map(async pos => {
+      try {
+        const tile = await this.fetchTile(source, z, x + pos.x, y + pos.y);
+        if (tile?.partial) partial = true;
+        return tile ? { ...tile, x: pos.x, y: pos.y } : null;
+      } catch (error) {
+        if (error instanceof QueueFullError || (pos.x === 0 && pos.y === 0)) throw error;
+        console.warn(`Warning: Neighbour ${z}/${x + pos.x}/${y + pos.y} of ${source.name} failed to load: ${error.message}`);
+        partial = true;
+        return null;
+      }
+    }));
+
+    // Neighbours from a layer with another tile size than the center tile's
+    // are resampled to its size
+    const reference = tiles[4] || tiles.find(tile => tile !== null);
+    await Promise.all(tiles.map(async (tile, i) => {
+      if (tile && (tile.width !== reference.width || tile.height !== reference.height)) {
+        const resized = await this.workerPool.run('resize', {
+          tile: { data: tile.data, width: tile.width, height: tile.height },
+          width: reference.width,
+          height: reference.height
+        });
+        tiles[i] = { ...resized, x: tile.x, y: tile.y };
+      }
+    }));
+
+    return { tiles, positions, partial };
+  }
+}
@@ -0,0 +1,84 @@
+// Point elevation sampling from decoded DEM tiles.
+
+// Position of a point in tiles at a zoom level (fractional, Web Mercator)
+function lonLatToTileFraction(lon, lat, z) {
+  const n = Math.pow(2, z);
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: (lon + 180) / 360 * n,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+  };
+}
+
+// Check a longitude/latitude pair, returning true or a description of the problem
+export function validateLonLat(lon, lat) {
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return 'longitude must be a number from -180 to 180';
+  }
+  if (!Number.isFinite(lat) || lat < -85.0511 || lat > 85.0511) {
+    return 'latitude must be a number from -85.0511 to 85.0511';
+  }
+  return true;
+}
+
+// Bilinearly interpolated elevation at a point, from the DEM tiles of zoom z.
+// getTile(x, y) resolves to a decoded tile ({ data, width, height }) or null.
+// Pixel values are taken at pixel centers; neighbours across a tile edge come
+// from the adjacent tile, and missing neighbours and nodata pixels are left
+// out of the average. Resolves to null when the tile containing the point does
+// not exist or has no data there, else to { elevation, tileSize }.
+export async function sampleElevation(lon, lat, z, getTile) {
+  const n = Math.pow(2, z);
+  const position = lonLatToTileFraction(lon, lat, z);
+  const tileX = Math.min(Math.floor(position.x), n - 1);
+  const tileY = Math.min(Math.floor(position.y), n - 1);
+
+  const tile = await getTile(tileX, tileY);
+  if (!tile) {
+    return null;
+  }
+
+  const tileSize = tile.width;
+  const worldSize = n * tileSize;
+  const gx = position.x * tileSize - 0.5;
+  const gy = position.y * tileSize - 0.5;
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const fx = gx - x0;
+  const fy = gy - y0;
+
+  // Elevation of a pixel in world pixel coordinates (x wraps, y clamps)
+  const pixelAt = async (px, py) => {
+    px = ((px % worldSize) + worldSize) % worldSize;
+    py = Math.min(Math.max(py, 0), worldSize - 1);
+    const tx = Math.floor(px / tileSize);
+    const ty = Math.floor(py / tileSize);
+    const source = tx === tileX && ty === tileY ? tile : await getTile(tx, ty);
+    if (!source) return null;
+    return source.data[(py - ty * tileSize) * source.width + (px - tx * tileSize)];
+  };
+
+  const corners = [
+    [x0, y0, (1 - fx) * (1 - fy)],
+    [x0 + 1, y0, fx * (1 - fy)],
+    [x0, y0 + 1, (1 - fx) * fy],
+    [x0 + 1, y0 + 1, fx * fy]
+  ];
+
+  let sum = 0;
+  let weights = 0;
+  for (const [px, py, weight] of corners) {
+    const value = await pixelAt(px, py);
+    if (value === null || Number.isNaN(value)) continue;
+    sum += value * weight;
+    weights += weight;
+  }
+
+  // All weight on missing neighbours: fall back to the containing pixel
+  const elevation = weights > 0 ? sum / weights : await pixelAt(Math.floor(gx + 0.5), Math.floor(gy + 0.5));
+  if (elevation === null || Number.isNaN(elevation)) {
+    return null;
+  }
+
+  return { elevation, tileSize };
+}
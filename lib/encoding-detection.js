@@ -0,0 +1,83 @@
+import { decodeImage, decodeElevation } from './contours.js';
+
+const ENCODINGS = ['terrarium', 'mapbox'];
+
+// Elevations outside this range (meters) are treated as implausible
+const MIN_PLAUSIBLE_ELEVATION = -12000;
+const MAX_PLAUSIBLE_ELEVATION = 9000;
+
+// Fraction of sampled pixels that must be plausible for an encoding to match
+const PLAUSIBLE_FRACTION = 0.99;
+
+// Check every Nth pixel of a sampled tile
+const PIXEL_STRIDE = 7;
+
+// Tile containing a point at a zoom level
+function lonLatToTile(lon, lat, z) {
+  const n = Math.pow(2, z);
+  const latRad = lat * Math.PI / 180;
+  const x = Math.floor((lon + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  };
+}
+
+// Fraction of opaque sampled pixels that decode to a plausible elevation
+function plausibleFraction(image, encoding) {
+  let total = 0;
+  let plausible = 0;
+
+  for (let i = 0; i < image.width * image.height; i += PIXEL_STRIDE) {
+    const index = i * 4;
+    if (image.data[index + 3] === 0) continue;
+
+    const elevation = decodeElevation(image.data[index], image.data[index + 1], image.data[index + 2], encoding);
+    total++;
+    if (elevation >= MIN_PLAUSIBLE_ELEVATION && elevation <= MAX_PLAUSIBLE_ELEVATION) {
+      plausible++;
+    }
+  }
+
+  return total > 0 ? plausible / total : 0;
+}
+
+// Decode the tiles under the archive's center at its min, center and max zoom
+async function sampleTiles(archive, header) {
+  const zooms = [...new Set([header.minZoom, header.centerZoom, header.maxZoom])];
+  const images = [];
+
+  for (const z of zooms) {
+    const { x, y } = lonLatToTile(header.centerLon, header.centerLat, z);
+    const tile = await archive.getTile(z, x, y);
+    if (tile) {
+      images.push(await decodeImage(Buffer.from(tile)));
+    }
+  }
+
+  return images;
+}
+
+// Detect the DEM encoding of an archive.
+// The `encoding` key of the archive's metadata (as used by MapLibre raster-dem
+// sources) wins; otherwise a few tiles are decoded with each formula and the
+// one yielding only plausible elevations is chosen.
+// Resolves to { encoding, method } or null when the encoding is ambiguous.
+export async function detectEncoding(archive) {
+  const metadata = await archive.getMetadata();
+  if (ENCODINGS.includes(metadata?.encoding)) {
+    return { encoding: metadata.encoding, method: 'metadata' };
+  }
+
+  const header = await archive.getHeader();
+  const images = await sampleTiles(archive, header);
+  if (images.length === 0) return null;
+
+  const matches = ENCODINGS.filter(encoding =>
+    images.every(image => plausibleFraction(image, encoding) >= PLAUSIBLE_FRACTION)
+  );
+
+  if (matches.length !== 1) return null;
+  return { encoding: matches[0], method: 'sampling' };
+}
@@ -0,0 +1,170 @@
+import { bathymetryTags, elevationTags } from './contours.js';
+
+// Decimal places of GeoJSON coordinates (0.1 m at the equator)
+const COORDINATE_PRECISION = 1e6;
+
+// Parametric range [t0, t1] of the segment a-b inside a rectangle (Liang-Barsky),
+// or null when the segment misses it
+function clipSegment([ax, ay], [bx, by], minX, minY, maxX, maxY) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  let t0 = 0;
+  let t1 = 1;
+
+  for (const [p, q] of [[-dx, ax - minX], [dx, maxX - ax], [-dy, ay - minY], [dy, maxY - ay]]) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      if (t > t0) t0 = t;
+    } else {
+      if (t < t0) return null;
+      if (t < t1) t1 = t;
+    }
+  }
+
+  return t0 <= t1 ? [t0, t1] : null;
+}
+
+// Point at t along a-b. Points cut by the rectangle are clamped onto its edge,
+// so lines cut on either side of a tile seam end exactly on the seam.
+function pointAlong(a, b, t, minX, minY, maxX, maxY) {
+  if (t === 0) return a;
+  if (t === 1) return b;
+  return [
+    Math.min(maxX, Math.max(minX, a[0] + (b[0] - a[0]) * t)),
+    Math.min(maxY, Math.max(minY, a[1] + (b[1] - a[1]) * t))
+  ];
+}
+
+// Cut a line to a rectangle. Returns the parts inside it, keeping their
+// direction; a line crossing the rectangle several times gives several parts.
+export function clipLine(line, minX, minY, maxX, maxY) {
+  const parts = [];
+  let part = null;
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const range = clipSegment(a, b, minX, minY, maxX, maxY);
+    if (!range) {
+      part = null;
+      continue;
+    }
+
+    const [t0, t1] = range;
+    if (!part || t0 > 0) {
+      part = [pointAlong(a, b, t0, minX, minY, maxX, maxY)];
+      parts.push(part);
+    }
+    part.push(pointAlong(a, b, t1, minX, minY, maxX, maxY));
+    if (t1 < 1) part = null;
+  }
+
+  // A ring cut open continues from its last part into its first
+  const first = line[0];
+  const last = line[line.length - 1];
+  if (parts.length > 1 && first[0] === last[0] && first[1] === last[1] &&
+      parts[0][0] === first && parts[parts.length - 1].at(-1) === last) {
+    const tail = parts.pop();
+    parts[0] = tail.concat(parts[0].slice(1));
+  }
+
+  return parts.filter(points => points.length > 1);
+}
+
+// Cut the lines of contour features (see generateContours) to a tile of
+// width x height pixels, dropping features left without lines
+export function cropContoursToTile(contourFeatures, width, height) {
+  const cropped = [];
+
+  for (const feature of contourFeatures) {
+    const coordinates = feature.coordinates.flatMap(line => clipLine(line, 0, 0, width, height));
+    if (coordinates.length > 0) {
+      cropped.push({ ...feature, coordinates });
+    }
+  }
+
+  return cropped;
+}
+
+// Join lines whose end is the start of another, e.g. a contour cut at tile seams.
+// Contours run with higher ground on their right, so pieces always meet end to start.
+export function joinLines(lines) {
+  const key = ([x, y]) => `${Math.round(x * 1e6)},${Math.round(y * 1e6)}`;
+
+  const byStart = new Map();
+  const ends = new Set();
+  lines.forEach((line, i) => {
+    const start = key(line[0]);
+    if (!byStart.has(start)) byStart.set(start, []);
+    byStart.get(start).push(i);
+    ends.add(key(line[line.length - 1]));
+  });
+
+  const used = new Uint8Array(lines.length);
+  const follow = i => {
+    const joined = [...lines[i]];
+    used[i] = 1;
+    for (;;) {
+      const next = (byStart.get(key(joined[joined.length - 1])) || []).find(j => !used[j]);
+      if (next === undefined) return joined;
+      used[next] = 1;
+      for (let k = 1; k < lines[next].length; k++) joined.push(lines[next][k]);
+    }
+  };
+
+  // Open lines from their first piece, then what is left: loops
+  const joined = [];
+  lines.forEach((line, i) => {
+    if (!used[i] && !ends.has(key(line[0]))) joined.push(follow(i));
+  });
+  lines.forEach((line, i) => {
+    if (!used[i]) joined.push(follow(i));
+  });
+
+  return joined;
+}
+
+// World pixels of a longitude/latitude at a Web Mercator zoom level
+export function projectLonLat([lon, lat], z, tileSize) {
+  const size = Math.pow(2, z) * tileSize;
+  const rad = lat * Math.PI / 180;
+  return [
+    (lon + 180) / 360 * size,
+    (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * size
+  ];
+}
+
+// Longitude and latitude of a point in world pixels of a Web Mercator zoom level
+export function unprojectPixel([px, py], z, tileSize) {
+  const size = Math.pow(2, z) * tileSize;
+  const lon = (px / size) * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * py / size))) * 180 / Math.PI;
+  return [
+    Math.round(lon * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+    Math.round(lat * COORDINATE_PRECISION) / COORDINATE_PRECISION
+  ];
+}
+
+// GeoJSON FeatureCollection of contours in world pixels ({ value, level, lines }),
+// one MultiLineString feature per elevation like the MVT contours layer.
+// With bathymetry, features get bathymetry attributes (see bathymetryTags)
+// whether or not the MVT puts contours below sea level in their own layer.
+export function contourFeatureCollection(contours, z, tileSize, units, bbox, bathymetry = false) {
+  return {
+    type: 'FeatureCollection',
+    bbox,
+    features: contours.map(({ value, level, lines }) => ({
+      type: 'Feature',
+      properties: { ...elevationTags(value, units), ...bathymetryTags(value, bathymetry), level },
+      geometry: {
+        type: 'MultiLineString',
+        coordinates: lines.map(line => line.map(point => unprojectPixel(point, z, tileSize)))
+      }
+    }))
+  };
+}
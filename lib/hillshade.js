@@ -0,0 +1,126 @@
+// Hillshade rendering from a buffered elevation grid.
+// In multidirectional mode, like GDAL's, the terrain is lit from four
+// azimuths 45 degrees apart, from 90 degrees before the configured azimuth
+// to 45 degrees after it (225 to 360 for the default 315), each weighted
+// by how much the slope faces across that light direction.
+
+import { forEachGradient, isColor, parseColor } from './terrain.js';
+
+export const DEFAULT_HILLSHADE = {
+  azimuth: 315,
+  altitude: 45,
+  zFactor: 1,
+  multidirectional: true,
+  shadowColor: '#000000',
+  highlightColor: '#ffffff'
+};
+
+// Validators for each option, returning true or a description of the problem
+const OPTIONS = {
+  azimuth: value => (typeof value === 'number' && value >= 0 && value <= 360) || 'must be a number from 0 to 360',
+  altitude: value => (typeof value === 'number' && value >= 0 && value <= 90) || 'must be a number from 0 to 90',
+  zFactor: value => (typeof value === 'number' && value > 0) || 'must be a positive number',
+  multidirectional: value => typeof value === 'boolean' || 'must be true or false',
+  shadowColor: value => isColor(value) || 'must be a #rrggbb or #rrggbbaa color',
+  highlightColor: value => isColor(value) || 'must be a #rrggbb or #rrggbbaa color'
+};
+
+// Check a (partial) hillshade options object, returning true or a description of the problem
+export function validateHillshadeOptions(options) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return 'must be an object';
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    const validate = OPTIONS[key];
+    if (!validate) {
+      return `has unknown option "${key}"`;
+    }
+
+    const result = validate(value);
+    if (result !== true) {
+      return `option "${key}" ${result}`;
+    }
+  }
+
+  return true;
+}
+
+// Read hillshade overrides from request query parameters
+export function parseHillshadeQuery(query) {
+  const options = {};
+
+  for (const key of ['azimuth', 'altitude', 'zFactor']) {
+    if (query[key] !== undefined) options[key] = Number(query[key]);
+  }
+  if (query.multidirectional !== undefined) {
+    options.multidirectional = query.multidirectional === 'true' ? true
+      : query.multidirectional === 'false' ? false : query.multidirectional;
+  }
+  for (const key of ['shadowColor', 'highlightColor']) {
+    if (query[key] !== undefined) options[key] = String(query[key]);
+  }
+
+  const result = validateHillshadeOptions(options);
+  if (result !== true) {
+    throw new Error(`Invalid hillshade parameters: ${result}`);
+  }
+
+  return options;
+}
+
+// Illumination (0-1) of a surface with the given east/north gradients
+function illumination(dzdx, dzdy, azimuth, altitude) {
+  const light = [
+    Math.sin(azimuth) * Math.cos(altitude),
+    Math.cos(azimuth) * Math.cos(altitude),
+    Math.sin(altitude)
+  ];
+  const length = Math.sqrt(dzdx * dzdx + dzdy * dzdy + 1);
+  const shade = (-dzdx * light[0] - dzdy * light[1] + light[2]) / length;
+  return Math.max(0, shade);
+}
+
+// Render an RGBA hillshade of the tile inside a buffered grid.
+// z and y locate the tile for ground resolution.
+export function renderHillshade(grid, z, y, options) {
+  const { tileWidth, tileHeight } = grid;
+  const { azimuth, altitude, zFactor, multidirectional } = options;
+  const shadow = parseColor(options.shadowColor);
+  const highlight = parseColor(options.highlightColor);
+
+  const toRadians = Math.PI / 180;
+  const altitudeRad = altitude * toRadians;
+  const azimuths = multidirectional
+    ? [azimuth - 90, azimuth - 45, azimuth, azimuth + 45].map(a => a * toRadians)
+    : [azimuth * toRadians];
+
+  const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+
+  forEachGradient(grid, z, y, (i, j, dzdx, dzdy) => {
+    dzdx *= zFactor;
+    dzdy *= zFactor;
+
+    let shade;
+    if (multidirectional) {
+      // Direction the slope faces, clockwise from north
+      const aspect = Math.atan2(-dzdx, -dzdy);
+      shade = 0;
+      for (const lightAzimuth of azimuths) {
+        const weight = Math.sin(aspect - lightAzimuth) ** 2;
+        shade += weight * illumination(dzdx, dzdy, lightAzimuth, altitudeRad);
+      }
+      // The four weights always sum to 2
+      shade /= 2;
+    } else {
+      shade = illumination(dzdx, dzdy, azimuths[0], altitudeRad);
+    }
+
+    const index = (j * tileWidth + i) * 4;
+    for (let c = 0; c < 4; c++) {
+      pixels[index + c] = Math.round(shadow[c] + (highlight[c] - shadow[c]) * shade);
+    }
+  });
+
+  return pixels;
+}
@@ -0,0 +1,274 @@
+import { createHash, randomUUID } from 'crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { EtagMismatch } from 'pmtiles';
+import { LRUCache } from './lru-cache.js';
+
+// Bytes of the PMTiles v3 header, and where it stores the tile data section
+const HEADER_SIZE = 127;
+const TILE_DATA_OFFSET_POSITION = 56;
+const TILE_DATA_LENGTH_POSITION = 64;
+
+// Responses worth retrying: timeouts, rate limits and server errors
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Longest wait between retries, also capping a server's Retry-After
+const MAX_RETRY_DELAY = 10000;
+
+// Rejection for ranges a remote server failed to deliver after the retries,
+// or refused, passed on to clients as 502 Bad Gateway
+export class RemoteSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RemoteSourceError';
+  }
+}
+
+const hash = value => createHash('sha1').update(value).digest('hex').slice(0, 16);
+
+function readUint64(bytes, position) {
+  const view = new DataView(bytes);
+  return view.getUint32(position + 4, true) * 2 ** 32 + view.getUint32(position, true);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Cache of byte ranges of remote archives, in memory (LRU by total byte size)
+// and optionally on disk under <directory>/<url hash>/<version hash>/<offset>-<length>.
+// Ranges are keyed by the version of the file they were read from, so a
+// changed file never serves ranges of the old one.
+export class BlockCache {
+  constructor({ maxBytes, directory = null }) {
+    this.lru = new LRUCache({ maxSize: maxBytes, sizeOf: data => data.byteLength });
+    this.directory = directory;
+  }
+
+  pathFor(url, version, offset, length) {
+    return join(this.directory, hash(url), hash(version), `${offset}-${length}`);
+  }
+
+  async get(url, version, offset, length) {
+    const key = `${url} ${version} ${offset}-${length}`;
+    const cached = this.lru.get(key);
+    if (cached || !this.directory) return cached;
+
+    let data;
+    try {
+      data = await readFile(this.pathFor(url, version, offset, length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+    const block = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    this.lru.set(key, block);
+    return block;
+  }
+
+  // Keep a range. Failures to write it to disk are logged and leave it
+  // uncached there, like a miss.
+  async set(url, version, offset, length, data) {
+    this.lru.set(`${url} ${version} ${offset}-${length}`, data);
+    if (!this.directory) return;
+
+    // Write to a temporary file of this write's own first, so readers never
+    // see a partial block and concurrent writes of the same block don't mix
+    const path = this.pathFor(url, version, offset, length);
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+    try {
+      await mkdir(join(this.directory, hash(url), hash(version)), { recursive: true });
+      await writeFile(tempPath, new Uint8Array(data));
+      await rename(tempPath, path);
+    } catch (error) {
+      console.error(`Error writing block cache for ${url}:`, error.message);
+      await rm(tempPath, { force: true }).catch(() => {});
+    }
+  }
+
+  stats() {
+    return {
+      entries: this.lru.count,
+      bytes: this.lru.size,
+      maxBytes: this.lru.maxSize
+    };
+  }
+
+  // Drop the ranges of every other version of a file
+  async invalidate(url, currentVersion) {
+    this.lru.deleteWhere(key => key.startsWith(`${url} `) && !key.startsWith(`${url} ${currentVersion} `));
+    if (!this.directory) return;
+
+    let versions;
+    try {
+      versions = await readdir(join(this.directory, hash(url)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const version of versions) {
+      if (version !== hash(currentVersion)) {
+        await rm(join(this.directory, hash(url), version), { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+// PMTiles source reading a remote archive with HTTP range requests.
+// The header is always read from the server: it sets the ETag every later
+// request is validated against, so a file replaced on the server is noticed
+// (by a changed ETag or a failed If-Match) and the PMTiles reader starts over
+// from the new header. Directory and metadata ranges, everything outside the
+// tile data section, go through the block cache. Failed requests are retried
+// with exponential backoff. onChange, if given, is called when a header
+// read finds the file replaced.
+export class HttpSource {
+  constructor(url, { headers = {}, retries = 3, retryDelay = 250, timeout = 30000, blockCache = null, onChange = null } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.blockCache = blockCache;
+    this.onChange = onChange;
+    this.etag = null;
+    this.version = null;
+    this.tileData = null; // { offset, length } of the tile data section
+  }
+
+  getKey() {
+    return this.url;
+  }
+
+  // Version of the remote file as of the latest header read: its ETag, else
+  // its size and modification time. Null before the header is read.
+  getVersion() {
+    return this.version;
+  }
+
+  async getBytes(offset, length, signal, etag) {
+    if (offset === 0) {
+      return this.getHeaderBytes(length, signal);
+    }
+
+    const cacheable = this.blockCache && this.version && this.tileData &&
+      (offset + length <= this.tileData.offset || offset >= this.tileData.offset + this.tileData.length);
+    if (cacheable) {
+      const cached = await this.blockCache.get(this.url, this.version, offset, length);
+      if (cached) return { data: cached, etag: this.etag || undefined };
+    }
+
+    const expectedEtag = etag || this.etag;
+    const response = await this.fetchRange(offset, length, signal, expectedEtag);
+    const data = await response.arrayBuffer();
+
+    const responseEtag = response.headers.get('ETag');
+    if (expectedEtag && responseEtag && responseEtag !== expectedEtag) {
+      throw new EtagMismatch(`${this.url} changed (ETag ${responseEtag}, expected ${expectedEtag})`);
+    }
+    if (data.byteLength !== length) {
+      throw new RemoteSourceError(`${this.url} returned ${data.byteLength} bytes for a ${length} byte range at ${offset}`);
+    }
+
+    if (cacheable) {
+      await this.blockCache.set(this.url, this.version, offset, length, data);
+    }
+    return { data, etag: this.etag || undefined };
+  }
+
+  // Read the first bytes of the file (the header and root directory) and
+  // note the file's version and where its tile data is
+  async getHeaderBytes(length, signal) {
+    const response = await this.fetchRange(0, length, signal, null);
+    const data = await response.arrayBuffer();
+
+    const etag = response.headers.get('ETag');
+    const size = response.headers.get('Content-Range')?.split('/')[1] ?? response.headers.get('Content-Length');
+    const lastModified = response.headers.get('Last-Modified');
+    const version = etag || (lastModified ? `${size}-${lastModified}` : null);
+
+    if (!version && this.blockCache) {
+      console.warn(`Warning: ${this.url} has neither an ETag nor a Last-Modified header, ranges are not cached`);
+    }
+    if (version && version !== this.version && this.blockCache) {
+      await this.blockCache.invalidate(this.url, version);
+    }
+    const changed = this.version !== null && version !== this.version;
+
+    this.etag = etag;
+    this.version = version;
+    this.tileData = data.byteLength >= HEADER_SIZE
+      ? {
+          offset: readUint64(data, TILE_DATA_OFFSET_POSITION),
+          length: readUint64(data, TILE_DATA_LENGTH_POSITION)
+        }
+      : null;
+
+    if (changed) this.onChange?.();
+    return { data, etag: etag || undefined };
+  }
+
+  // Request a byte range, retrying network errors, timeouts and retryable
+  // statuses. With an ETag, the server is asked to fail (412) when the file
+  // no longer matches it. A file shorter than a range at offset 0 is read whole.
+  async fetchRange(offset, length, signal, etag) {
+    const headers = { ...this.headers, Range: `bytes=${offset}-${offset + length - 1}` };
+    if (etag && !etag.startsWith('W/')) {
+      headers['If-Match'] = etag;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let failure;
+      try {
+        const signals = [AbortSignal.timeout(this.timeout)];
+        if (signal) signals.push(signal);
+        response = await fetch(this.url, { headers, signal: AbortSignal.any(signals) });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        failure = error.name === 'TimeoutError' ? `timed out after ${this.timeout}ms` : error.cause?.message || error.message;
+      }
+
+      if (response) {
+        if (response.status === 206) return response;
+
+        // A server may answer a range covering the whole file with all of it
+        const contentLength = parseInt(response.headers.get('Content-Length'));
+        if (response.status === 200 && offset === 0 && contentLength <= length) return response;
+
+        await response.body?.cancel();
+        if (response.status === 412) {
+          throw new EtagMismatch(`${this.url} changed (If-Match ${etag} failed)`);
+        }
+        if (response.status === 416 && offset === 0) {
+          const size = parseInt(response.headers.get('Content-Range')?.split('/')[1]);
+          if (size > 0 && size < length) {
+            headers.Range = `bytes=0-${size - 1}`;
+            length = size;
+            attempt--;
+            continue;
+          }
+        }
+        if (response.status === 200) {
+          throw new RemoteSourceError(`${this.url} does not support range requests`);
+        }
+        if (!RETRY_STATUSES.includes(response.status)) {
+          throw new RemoteSourceError(`${this.url} responded ${response.status} ${response.statusText}`);
+        }
+        failure = `responded ${response.status} ${response.statusText}`;
+      }
+
+      if (attempt >= this.retries) {
+        throw new RemoteSourceError(`${this.url} ${failure} (${attempt + 1} attempts)`);
+      }
+
+      // Exponential backoff with jitter, or the server's Retry-After
+      const retryAfter = parseFloat(response?.headers.get('Retry-After')) * 1000;
+      const delay = Math.min(MAX_RETRY_DELAY, Number.isFinite(retryAfter)
+        ? retryAfter
+        : this.retryDelay * 2 ** attempt * (0.5 + Math.random()));
+      console.warn(`Warning: ${this.url} ${failure}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
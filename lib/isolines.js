@@ -0,0 +1,182 @@
+// Marching-squares isoline extraction.
+//
+// Produces open polylines (closed only where a contour really forms a loop)
+// for every multiple of an interval, instead of the isoband polygons
+// d3-contour returns, so no artificial segments appear along the grid border.
+//
+// Lines are oriented with higher ground on the right-hand side (in pixel
+// coordinates, y pointing down), which lets cell segments be stitched by
+// matching the end of one segment to the start of the next.
+
+// Cell edges a segment can start or end on
+const TOP = 0;
+const RIGHT = 1;
+const BOTTOM = 2;
+const LEFT = 3;
+
+// Segments per marching-squares case. Corner bits: top-left 8, top-right 4,
+// bottom-right 2, bottom-left 1, set when the corner is above the threshold.
+// Saddles (5 and 10) are resolved separately using the cell center.
+const SEGMENTS = [
+  [],
+  [[LEFT, BOTTOM]],
+  [[BOTTOM, RIGHT]],
+  [[LEFT, RIGHT]],
+  [[RIGHT, TOP]],
+  null,
+  [[BOTTOM, TOP]],
+  [[LEFT, TOP]],
+  [[TOP, LEFT]],
+  [[TOP, BOTTOM]],
+  null,
+  [[TOP, RIGHT]],
+  [[RIGHT, LEFT]],
+  [[RIGHT, BOTTOM]],
+  [[BOTTOM, LEFT]],
+  []
+];
+
+const SADDLE_SEGMENTS = {
+  // bottom-left and top-right above the threshold
+  5: {
+    centerHigh: [[LEFT, TOP], [RIGHT, BOTTOM]],
+    centerLow: [[LEFT, BOTTOM], [RIGHT, TOP]]
+  },
+  // top-left and bottom-right above the threshold
+  10: {
+    centerHigh: [[TOP, RIGHT], [BOTTOM, LEFT]],
+    centerLow: [[TOP, LEFT], [BOTTOM, RIGHT]]
+  }
+};
+
+// Collects segments for one threshold and joins them into polylines
+class LineStitcher {
+  constructor() {
+    this.byStart = new Map();
+    this.byEnd = new Map();
+    this.lines = [];
+  }
+
+  add(startKey, startPoint, endKey, endPoint) {
+    const before = this.byEnd.get(startKey);
+    const after = this.byStart.get(endKey);
+
+    if (before && after) {
+      this.byEnd.delete(startKey);
+      this.byStart.delete(endKey);
+
+      if (before === after) {
+        // The segment closes a loop
+        before.points.push(endPoint);
+        this.lines.push(before.points);
+        return;
+      }
+
+      // Join the two fragments through this segment
+      before.points.push(...after.points);
+      before.endKey = after.endKey;
+      this.byEnd.set(before.endKey, before);
+    } else if (before) {
+      this.byEnd.delete(startKey);
+      before.points.push(endPoint);
+      before.endKey = endKey;
+      this.byEnd.set(endKey, before);
+    } else if (after) {
+      this.byStart.delete(endKey);
+      after.points.unshift(startPoint);
+      after.startKey = startKey;
+      this.byStart.set(startKey, after);
+    } else {
+      const fragment = { points: [startPoint, endPoint], startKey, endKey };
+      this.byStart.set(startKey, fragment);
+      this.byEnd.set(endKey, fragment);
+    }
+  }
+
+  // Finished loops plus the open lines still ending at the grid border
+  finish() {
+    return [...this.lines, ...[...this.byStart.values()].map(fragment => fragment.points)];
+  }
+}
+
+// Extract isolines at every multiple of interval from a grid of values,
+// optionally only those from minValue to maxValue.
+// Points are in pixel coordinates with pixel centers at (i + 0.5, j + 0.5).
+// Returns a Map from threshold value to an array of lines ([[x, y], ...]).
+export function generateIsolines(values, width, height, interval, minValue = -Infinity, maxValue = Infinity) {
+  const stitchers = new Map();
+
+  // Point where the threshold crosses an edge of the cell at (i, j)
+  const crossing = (edge, i, j, tl, tr, br, bl, threshold) => {
+    switch (edge) {
+      case TOP: return [i + (threshold - tl) / (tr - tl) + 0.5, j + 0.5];
+      case RIGHT: return [i + 1.5, j + (threshold - tr) / (br - tr) + 0.5];
+      case BOTTOM: return [i + (threshold - bl) / (br - bl) + 0.5, j + 1.5];
+      default: return [i + 0.5, j + (threshold - tl) / (bl - tl) + 0.5];
+    }
+  };
+
+  // Key of a cell edge shared by the two cells next to it
+  const edgeKey = (edge, i, j) => {
+    switch (edge) {
+      case TOP: return 2 * (j * width + i);
+      case RIGHT: return 2 * (j * width + i + 1) + 1;
+      case BOTTOM: return 2 * ((j + 1) * width + i);
+      default: return 2 * (j * width + i) + 1;
+    }
+  };
+
+  for (let j = 0; j < height - 1; j++) {
+    for (let i = 0; i < width - 1; i++) {
+      const tl = values[j * width + i];
+      const tr = values[j * width + i + 1];
+      const br = values[(j + 1) * width + i + 1];
+      const bl = values[(j + 1) * width + i];
+
+      const min = Math.min(tl, tr, br, bl);
+      const max = Math.max(tl, tr, br, bl);
+
+      // Thresholds with some corners at or below and some above them
+      const first = Math.max(Math.ceil(min / interval), Math.ceil(minValue / interval));
+      const last = Math.min(Math.ceil(max / interval) - 1, Math.floor(maxValue / interval));
+
+      for (let k = first; k <= last; k++) {
+        const threshold = k * interval;
+        const index = (tl > threshold ? 8 : 0) |
+          (tr > threshold ? 4 : 0) |
+          (br > threshold ? 2 : 0) |
+          (bl > threshold ? 1 : 0);
+
+        let segments = SEGMENTS[index];
+        if (segments === null) {
+          const center = (tl + tr + br + bl) / 4;
+          segments = center > threshold
+            ? SADDLE_SEGMENTS[index].centerHigh
+            : SADDLE_SEGMENTS[index].centerLow;
+        }
+        if (segments.length === 0) continue;
+
+        let stitcher = stitchers.get(threshold);
+        if (!stitcher) {
+          stitcher = new LineStitcher();
+          stitchers.set(threshold, stitcher);
+        }
+
+        for (const [startEdge, endEdge] of segments) {
+          stitcher.add(
+            edgeKey(startEdge, i, j),
+            crossing(startEdge, i, j, tl, tr, br, bl, threshold),
+            edgeKey(endEdge, i, j),
+            crossing(endEdge, i, j, tl, tr, br, bl, threshold)
+          );
+        }
+      }
+    }
+  }
+
+  const isolines = new Map();
+  for (const threshold of [...stitchers.keys()].sort((a, b) => a - b)) {
+    isolines.set(threshold, stitchers.get(threshold).finish());
+  }
+  return isolines;
+}
@@ -0,0 +1,89 @@
+// Anchor points for contour labels along straight stretches of major contours.
+// Contour lines run with higher ground on their right, so text running against
+// the line direction has its top facing uphill, the usual convention on
+// topographic maps.
+
+const OUTPUT_TILE_SIZE = 256;
+
+// Length of line a label covers, and the largest distance the line may stray
+// from a straight chord there, in pixels of a 256 pixel tile
+const LABEL_LENGTH = 40;
+const MAX_DEVIATION = 1;
+
+// Step between candidate anchor positions along a line, in the same pixels
+const STEP = 4;
+
+// Point and segment index at a distance along a line with cumulative distances
+function pointAlong(line, distances, distance) {
+  let i = 1;
+  while (i < line.length - 1 && distances[i] < distance) i++;
+  const segment = distances[i] - distances[i - 1];
+  const t = segment > 0 ? (distance - distances[i - 1]) / segment : 0;
+  const [x0, y0] = line[i - 1];
+  const [x1, y1] = line[i];
+  return { point: [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t], index: i };
+}
+
+// Largest distance of the line's vertices between two positions from the chord joining them
+function maxDeviation(line, start, end) {
+  const [ax, ay] = start.point;
+  const [bx, by] = end.point;
+  const length = Math.hypot(bx - ax, by - ay);
+  if (length === 0) return Infinity;
+
+  let deviation = 0;
+  for (let i = start.index; i < end.index; i++) {
+    const [px, py] = line[i];
+    deviation = Math.max(deviation, Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length);
+  }
+  return deviation;
+}
+
+// Place label anchors on the major (level > 0) contours of a tile.
+// spacing is the minimum distance between anchors on a line, in pixels of a
+// 256 pixel tile. Anchors lie inside the tile with their whole label stretch.
+// Returns { x, y, ele, level, rotation } points in tile pixel coordinates;
+// rotation is in degrees clockwise, for text-rotate with map alignment.
+export function placeContourLabels(contourFeatures, tileWidth, tileHeight, spacing) {
+  const scale = tileWidth / OUTPUT_TILE_SIZE;
+  const labelLength = LABEL_LENGTH * scale;
+  const tolerance = MAX_DEVIATION * scale;
+  const step = STEP * scale;
+  const minSpacing = spacing * scale;
+  const inside = ([x, y]) => x >= 0 && y >= 0 && x <= tileWidth && y <= tileHeight;
+
+  const labels = [];
+
+  for (const feature of contourFeatures) {
+    if (feature.level === 0) continue;
+
+    for (const line of feature.coordinates) {
+      const distances = [0];
+      for (let i = 1; i < line.length; i++) {
+        distances.push(distances[i - 1] + Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]));
+      }
+      const total = distances[distances.length - 1];
+
+      let next = labelLength / 2;
+      for (let center = next; center <= total - labelLength / 2; center += step) {
+        if (center < next) continue;
+
+        const start = pointAlong(line, distances, center - labelLength / 2);
+        const end = pointAlong(line, distances, center + labelLength / 2);
+        if (!inside(start.point) || !inside(end.point)) continue;
+        if (maxDeviation(line, start, end) > tolerance) continue;
+
+        const anchor = pointAlong(line, distances, center).point;
+        // Reading against the line direction puts the top of the text uphill
+        const dx = start.point[0] - end.point[0];
+        const dy = start.point[1] - end.point[1];
+        const rotation = (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360;
+
+        labels.push({ x: anchor[0], y: anchor[1], ele: feature.value, level: feature.level, rotation });
+        next = center + minSpacing;
+      }
+    }
+  }
+
+  return labels;
+}
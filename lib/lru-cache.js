@@ -0,0 +1,57 @@
+// Least-recently-used cache bounded by the total size of its values.
+// Map iteration order is insertion order, so re-inserting an entry on access
+// keeps the least recently used entry at the front.
+export class LRUCache {
+  constructor({ maxSize, sizeOf = () => 1 }) {
+    this.maxSize = maxSize;
+    this.sizeOf = sizeOf;
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return undefined;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    const size = this.sizeOf(value);
+    this.delete(key);
+
+    // Values larger than the whole cache would only evict everything else
+    if (size > this.maxSize) return;
+
+    this.entries.set(key, { value, size });
+    this.size += size;
+
+    for (const [oldKey, oldEntry] of this.entries) {
+      if (this.size <= this.maxSize) break;
+      this.entries.delete(oldKey);
+      this.size -= oldEntry.size;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return false;
+
+    this.entries.delete(key);
+    this.size -= entry.size;
+    return true;
+  }
+
+  // Remove every entry whose key satisfies the predicate
+  deleteWhere(predicate) {
+    for (const key of [...this.entries.keys()]) {
+      if (predicate(key)) this.delete(key);
+    }
+  }
+
+  get count() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,85 @@
+// Resampling of DEM tiles beyond the archive's max zoom ("overzoom").
+// An overzoomed tile is cut out of its ancestor at the max zoom and
+// interpolated back up to the full tile size.
+
+// Pixels of the ancestor's neighbors needed around it for interpolation
+// (bicubic reads two pixels beyond the one being interpolated)
+export const OVERZOOM_BUFFER = 2;
+
+export const RESAMPLING_METHODS = ['bilinear', 'bicubic'];
+
+// Catmull-Rom cubic interpolation between p1 and p2
+function cubic(p0, p1, p2, p3, t) {
+  return p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+}
+
+// Resample an overzoomed tile from its ancestor.
+// grid is the ancestor stitched with OVERZOOM_BUFFER pixels of its neighbors
+// (see stitchTiles), dz the zoom difference and (offsetX, offsetY) the
+// position of the target among the ancestor's 2^dz x 2^dz descendants.
+export function resampleTile(grid, dz, offsetX, offsetY, method, target) {
+  const { data, width, height, tileWidth, tileHeight, buffer } = grid;
+  const scale = Math.pow(2, dz);
+  const output = target || new Float32Array(tileWidth * tileHeight);
+
+  const at = (px, py) => {
+    const cx = Math.min(Math.max(px, 0), width - 1);
+    const cy = Math.min(Math.max(py, 0), height - 1);
+    return data[cy * width + cx];
+  };
+
+  for (let j = 0; j < tileHeight; j++) {
+    // Pixel centers of the target mapped into the ancestor grid
+    const v = (offsetY * tileHeight + j + 0.5) / scale - 0.5 + buffer;
+    const y0 = Math.floor(v);
+    const fy = v - y0;
+
+    for (let i = 0; i < tileWidth; i++) {
+      const u = (offsetX * tileWidth + i + 0.5) / scale - 0.5 + buffer;
+      const x0 = Math.floor(u);
+      const fx = u - x0;
+
+      let value;
+      if (method === 'bicubic') {
+        const rows = [];
+        for (let k = -1; k <= 2; k++) {
+          rows.push(cubic(at(x0 - 1, y0 + k), at(x0, y0 + k), at(x0 + 1, y0 + k), at(x0 + 2, y0 + k), fx));
+        }
+        value = cubic(rows[0], rows[1], rows[2], rows[3], fy);
+      } else {
+        const top = at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx;
+        const bottom = at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx;
+        value = top * (1 - fy) + bottom * fy;
+      }
+
+      output[j * tileWidth + i] = value;
+    }
+  }
+
+  return output;
+}
+
+// Bilinearly resample a tile ({ data, width, height }) to another size
+// covering the same area, e.g. a neighbour from an archive with another tile
+// size than the tile it is stitched to
+export function resizeTile({ data, width, height }, targetWidth, targetHeight, target) {
+  const output = target || new Float32Array(targetWidth * targetHeight);
+
+  for (let j = 0; j < targetHeight; j++) {
+    const v = Math.min(Math.max((j + 0.5) * height / targetHeight - 0.5, 0), height - 1);
+    const y0 = Math.min(Math.floor(v), height - 2);
+    const fy = v - y0;
+
+    for (let i = 0; i < targetWidth; i++) {
+      const u = Math.min(Math.max((i + 0.5) * width / targetWidth - 0.5, 0), width - 1);
+      const x0 = Math.min(Math.floor(u), width - 2);
+      const fx = u - x0;
+
+      const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x0 + 1] * fx;
+      const bottom = data[(y0 + 1) * width + x0] * (1 - fx) + data[(y0 + 1) * width + x0 + 1] * fx;
+      output[j * targetWidth + i] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,299 @@
+import { open, readFile, writeFile, rename, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import { gzipSync } from 'zlib';
+
+const HEADER_SIZE = 127;
+
+// The header and root directory must fit in the first 16 KiB of an archive
+const MAX_ROOT_DIRECTORY_SIZE = 16384 - HEADER_SIZE;
+
+// Entries per leaf directory to start from when the root directory is too big
+const LEAF_DIRECTORY_SIZE = 4096;
+
+// Tiles already written are kept in <path>.partial as records of
+// tile id (8 bytes), length (4 bytes) and data; the render parameters are in
+// <path>.partial.json so an interrupted render can resume
+const RECORD_HEADER_SIZE = 12;
+
+// PMTiles v3 enums
+export const COMPRESSION = { none: 1, gzip: 2 };
+export const TILE_TYPE = { mvt: 1 };
+
+function writeVarint(value, bytes) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+// Gzipped directory of entries ({ tileId, offset, length, runLength }) sorted by tile id.
+// Offsets directly following the previous entry's data are stored as 0.
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(entries.length, bytes);
+
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(entry.tileId - lastId, bytes);
+    lastId = entry.tileId;
+  }
+  for (const entry of entries) writeVarint(entry.runLength, bytes);
+  for (const entry of entries) writeVarint(entry.length, bytes);
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    if (i > 0 && entry.offset === previous.offset + previous.length) {
+      writeVarint(0, bytes);
+    } else {
+      writeVarint(entry.offset + 1, bytes);
+    }
+  });
+
+  return gzipSync(Buffer.from(bytes));
+}
+
+// Root and leaf directories of the entries. Leaves are only used when the
+// root directory alone is too big, and grow until the root fits.
+function buildDirectories(entries) {
+  const root = serializeDirectory(entries);
+  if (root.length <= MAX_ROOT_DIRECTORY_SIZE) {
+    return { root, leaves: Buffer.alloc(0) };
+  }
+
+  for (let leafSize = LEAF_DIRECTORY_SIZE; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+
+    const root = serializeDirectory(rootEntries);
+    if (root.length <= MAX_ROOT_DIRECTORY_SIZE) {
+      return { root, leaves: Buffer.concat(leaves) };
+    }
+  }
+}
+
+function serializeHeader(header) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  buffer.write('PMTiles', 0, 'ascii');
+  buffer.writeUInt8(3, 7);
+
+  const uint64Fields = [
+    header.rootDirectoryOffset, header.rootDirectoryLength,
+    header.metadataOffset, header.metadataLength,
+    header.leafDirectoryOffset, header.leafDirectoryLength,
+    header.tileDataOffset, header.tileDataLength,
+    header.numAddressedTiles, header.numTileEntries, header.numTileContents
+  ];
+  uint64Fields.forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+
+  buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+  buffer.writeUInt8(header.internalCompression, 97);
+  buffer.writeUInt8(header.tileCompression, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+  buffer.writeInt32LE(Math.round(header.minLon * 1e7), 102);
+  buffer.writeInt32LE(Math.round(header.minLat * 1e7), 106);
+  buffer.writeInt32LE(Math.round(header.maxLon * 1e7), 110);
+  buffer.writeInt32LE(Math.round(header.maxLat * 1e7), 114);
+  buffer.writeUInt8(header.centerZoom, 118);
+  buffer.writeInt32LE(Math.round(header.centerLon * 1e7), 119);
+  buffer.writeInt32LE(Math.round(header.centerLat * 1e7), 123);
+
+  return buffer;
+}
+
+// Writes a PMTiles v3 archive tile by tile, in any order. Tiles are appended
+// to a partial file as they arrive and sorted, deduplicated and laid out
+// when the archive is finished.
+export class PMTilesWriter {
+  constructor(path) {
+    this.path = path;
+    this.partialPath = `${path}.partial`;
+    this.statePath = `${path}.partial.json`;
+    this.records = new Map(); // tile id -> { offset, length } in the partial file
+    this.handle = null;
+    this.size = 0;
+    this.writing = Promise.resolve();
+  }
+
+  // Start writing. With resume, tiles of a partial file left by an earlier
+  // run with the same params are kept; otherwise any partial file is discarded.
+  // Resolves to the number of tiles kept.
+  async open({ resume = false, params = {} } = {}) {
+    let state = null;
+    if (resume) {
+      try {
+        state = JSON.parse(await readFile(this.statePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (state && JSON.stringify(state.params) !== JSON.stringify(params)) {
+        throw new Error(`${this.partialPath} was written with different parameters; start over without --resume`);
+      }
+    }
+
+    if (state) {
+      this.handle = await open(this.partialPath, 'a+');
+      await this.scan();
+    } else {
+      await writeFile(this.statePath, JSON.stringify({ params }));
+      this.handle = await open(this.partialPath, 'w+');
+    }
+
+    return this.records.size;
+  }
+
+  // Index the records of the partial file, cutting off a record left
+  // incomplete by an interrupted run
+  async scan() {
+    const { size } = await this.handle.stat();
+    const recordHeader = Buffer.alloc(RECORD_HEADER_SIZE);
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_SIZE <= size) {
+      await this.handle.read(recordHeader, 0, RECORD_HEADER_SIZE, offset);
+      const tileId = Number(recordHeader.readBigUInt64LE(0));
+      const length = recordHeader.readUInt32LE(8);
+      if (offset + RECORD_HEADER_SIZE + length > size) break;
+
+      this.records.set(tileId, { offset: offset + RECORD_HEADER_SIZE, length });
+      offset += RECORD_HEADER_SIZE + length;
+    }
+
+    if (offset < size) {
+      await this.handle.truncate(offset);
+    }
+    this.size = offset;
+  }
+
+  has(tileId) {
+    return this.records.has(tileId);
+  }
+
+  // Add a tile's (already compressed) data. Empty tiles are remembered so a
+  // resumed run skips them, but are left out of the archive.
+  addTile(tileId, data) {
+    const recordHeader = Buffer.alloc(RECORD_HEADER_SIZE);
+    recordHeader.writeBigUInt64LE(BigInt(tileId), 0);
+    recordHeader.writeUInt32LE(data.length, 8);
+
+    this.records.set(tileId, { offset: this.size + RECORD_HEADER_SIZE, length: data.length });
+    this.size += RECORD_HEADER_SIZE + data.length;
+
+    // Appends run one after the other, so the partial file never has gaps
+    this.writing = this.writing.then(() => this.handle.write(Buffer.concat([recordHeader, data])));
+    return this.writing;
+  }
+
+  // Write the archive from the tiles added. header holds the tile type and
+  // compression, zoom range, bounds and center (see serializeHeader);
+  // metadata is the JSON metadata object. Removes the partial files.
+  async finish(header, metadata) {
+    await this.writing;
+
+    // Tile data in tile id order, each distinct content once, with runs of
+    // consecutive tiles sharing the same content merged into one entry
+    const tileDataPath = `${this.path}.tiledata`;
+    const tileData = await open(tileDataPath, 'w');
+    const ids = [...this.records.keys()].sort((a, b) => a - b);
+    const contents = new Map(); // content hash -> { offset, length }
+    const entries = [];
+    let tileDataLength = 0;
+    let numAddressedTiles = 0;
+
+    try {
+      for (const tileId of ids) {
+        const record = this.records.get(tileId);
+        if (record.length === 0) continue;
+
+        const data = Buffer.alloc(record.length);
+        await this.handle.read(data, 0, record.length, record.offset);
+        const hash = createHash('sha256').update(data).digest('hex');
+
+        let content = contents.get(hash);
+        if (!content) {
+          content = { offset: tileDataLength, length: data.length };
+          contents.set(hash, content);
+          await tileData.write(data);
+          tileDataLength += data.length;
+        }
+        numAddressedTiles++;
+
+        const last = entries[entries.length - 1];
+        if (last && last.offset === content.offset && last.tileId + last.runLength === tileId) {
+          last.runLength++;
+        } else {
+          entries.push({ tileId, offset: content.offset, length: content.length, runLength: 1 });
+        }
+      }
+    } finally {
+      await tileData.close();
+    }
+
+    const { root, leaves } = buildDirectories(entries);
+    const metadataBuffer = gzipSync(Buffer.from(JSON.stringify(metadata)));
+
+    const rootDirectoryOffset = HEADER_SIZE;
+    const metadataOffset = rootDirectoryOffset + root.length;
+    const leafDirectoryOffset = metadataOffset + metadataBuffer.length;
+    const tileDataOffset = leafDirectoryOffset + leaves.length;
+
+    const headerBuffer = serializeHeader({
+      ...header,
+      rootDirectoryOffset,
+      rootDirectoryLength: root.length,
+      metadataOffset,
+      metadataLength: metadataBuffer.length,
+      leafDirectoryOffset,
+      leafDirectoryLength: leaves.length,
+      tileDataOffset,
+      tileDataLength,
+      numAddressedTiles,
+      numTileEntries: entries.length,
+      numTileContents: contents.size,
+      clustered: true,
+      internalCompression: COMPRESSION.gzip
+    });
+
+    // Write next to the output and rename, so a failure never leaves a broken archive
+    const temporaryPath = `${this.path}.tmp`;
+    const output = await open(temporaryPath, 'w');
+    try {
+      await output.write(Buffer.concat([headerBuffer, root, metadataBuffer, leaves]));
+      const source = await open(tileDataPath, 'r');
+      try {
+        const chunk = Buffer.alloc(1024 * 1024);
+        for (let position = 0; position < tileDataLength;) {
+          const { bytesRead } = await source.read(chunk, 0, chunk.length, position);
+          await output.write(chunk.subarray(0, bytesRead));
+          position += bytesRead;
+        }
+      } finally {
+        await source.close();
+      }
+    } finally {
+      await output.close();
+    }
+    await rename(temporaryPath, this.path);
+
+    await this.handle.close();
+    await rm(tileDataPath);
+    await rm(this.partialPath);
+    await rm(this.statePath);
+
+    return { size: tileDataOffset + tileDataLength, tiles: numAddressedTiles, contents: contents.size };
+  }
+
+  // Close the partial file, keeping it for a resumed run
+  async close() {
+    await this.writing.catch(() => {});
+    await this.handle?.close();
+  }
+}
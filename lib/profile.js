@@ -0,0 +1,156 @@
+// Elevation profiles along a line: input parsing, densification and statistics.
+
+import { validateLonLat } from './elevation.js';
+
+const EARTH_RADIUS = 6371008.8; // meters, mean radius
+
+// Great-circle distance in meters between two [lon, lat] points
+export function haversineDistance([lon1, lat1], [lon2, lat2]) {
+  const toRadians = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRadians;
+  const dLon = (lon2 - lon1) * toRadians;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Decode an encoded polyline (Google's algorithm) into [lon, lat] points.
+// precision is the number of decimal places (5 for Google, 6 for OSRM/Valhalla).
+export function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  // Next zigzag-encoded signed value from 5-bit chunks
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Invalid polyline: unexpected end of string');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        throw new Error(`Invalid polyline: unexpected character at position ${index - 1}`);
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lon += nextValue();
+    points.push([lon / factor, lat / factor]);
+  }
+
+  return points;
+}
+
+// Read the line of a profile request body: a GeoJSON LineString, a Feature
+// with a LineString geometry, or { polyline, precision } with an encoded polyline.
+// Returns [lon, lat] points, throwing on invalid input.
+export function parseProfileLine(body) {
+  let coordinates;
+
+  if (typeof body?.polyline === 'string') {
+    const precision = body.precision ?? 5;
+    if (!Number.isInteger(precision) || precision < 1 || precision > 7) {
+      throw new Error('"precision" must be an integer from 1 to 7');
+    }
+    coordinates = decodePolyline(body.polyline, precision);
+  } else {
+    const geometry = body?.type === 'Feature' ? body.geometry : body;
+    if (geometry?.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+      throw new Error('Request body must be a GeoJSON LineString, a Feature with a LineString geometry, ' +
+        'or an object with an encoded "polyline"');
+    }
+    coordinates = geometry.coordinates;
+  }
+
+  if (coordinates.length < 2) {
+    throw new Error('The line must have at least 2 vertices');
+  }
+  for (const [index, point] of coordinates.entries()) {
+    const valid = Array.isArray(point) ? validateLonLat(point[0], point[1]) : 'must be a [lon, lat] array';
+    if (valid !== true) {
+      throw new Error(`Invalid vertex ${index}: ${valid}`);
+    }
+  }
+
+  return coordinates.map(([lon, lat]) => [lon, lat]);
+}
+
+// Length of a line in meters
+export function lineLength(coordinates) {
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    length += haversineDistance(coordinates[i - 1], coordinates[i]);
+  }
+  return length;
+}
+
+// Number of equal parts no longer than spacing meters a segment is split into
+const segmentParts = (segmentLength, spacing) => Math.max(1, Math.ceil(segmentLength / spacing));
+
+// Number of samples densifyLine returns for a line, without creating them
+export function sampleCount(coordinates, spacing) {
+  let count = 1;
+  for (let i = 1; i < coordinates.length; i++) {
+    count += segmentParts(haversineDistance(coordinates[i - 1], coordinates[i]), spacing);
+  }
+  return count;
+}
+
+// Sample points along a line, keeping every vertex and splitting each segment
+// into equal parts no longer than spacing meters. Returns { point, distance } items.
+export function densifyLine(coordinates, spacing) {
+  const samples = [{ point: coordinates[0], distance: 0 }];
+  let distance = 0;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lon1, lat1] = coordinates[i - 1];
+    const [lon2, lat2] = coordinates[i];
+    const segmentLength = haversineDistance(coordinates[i - 1], coordinates[i]);
+    const parts = segmentParts(segmentLength, spacing);
+
+    for (let p = 1; p <= parts; p++) {
+      const t = p / parts;
+      samples.push({
+        point: [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t],
+        distance: distance + segmentLength * t
+      });
+    }
+    distance += segmentLength;
+  }
+
+  return samples;
+}
+
+// Total ascent and descent, minimum and maximum of profile elevations,
+// skipping points without data
+export function profileStats(elevations) {
+  let ascent = 0;
+  let descent = 0;
+  let min = null;
+  let max = null;
+  let previous = null;
+
+  for (const elevation of elevations) {
+    if (elevation === null) continue;
+    if (previous !== null) {
+      const change = elevation - previous;
+      if (change > 0) ascent += change;
+      else descent -= change;
+    }
+    min = min === null ? elevation : Math.min(min, elevation);
+    max = max === null ? elevation : Math.max(max, elevation);
+    previous = elevation;
+  }
+
+  return { ascent, descent, min, max };
+}
@@ -0,0 +1,108 @@
+// Line simplification and smoothing applied to contours before MVT encoding.
+// Coordinates are DEM pixels; tolerances are given in pixels of a 256 pixel
+// output tile and scaled to the DEM tile size.
+
+const OUTPUT_TILE_SIZE = 256;
+
+// Squared distance from point p to the segment a-b
+function squaredSegmentDistance(p, a, b) {
+  let x = a[0];
+  let y = a[1];
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker simplification, keeping both end points
+export function simplifyLine(points, tolerance) {
+  if (points.length <= 2 || tolerance <= 0) return points;
+
+  const squaredTolerance = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative to avoid deep recursion on long contours
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = squaredTolerance;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = squaredSegmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+// Chaikin corner cutting. Open lines keep their end points so they still
+// meet the neighbouring tile; closed loops stay closed.
+export function smoothLine(points, iterations) {
+  let result = points;
+
+  for (let n = 0; n < iterations && result.length > 2; n++) {
+    const first = result[0];
+    const last = result[result.length - 1];
+    const closed = first[0] === last[0] && first[1] === last[1];
+    const smoothed = closed ? [] : [first];
+
+    for (let i = 0; i < result.length - 1; i++) {
+      const [x0, y0] = result[i];
+      const [x1, y1] = result[i + 1];
+      smoothed.push([0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1]);
+      smoothed.push([0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1]);
+    }
+
+    smoothed.push(closed ? smoothed[0] : last);
+    result = smoothed;
+  }
+
+  return result;
+}
+
+// Simplify then optionally smooth every line of the contour features.
+// tolerance is in output tile pixels; tileWidth is the DEM tile size in pixels.
+// Returns the new features with vertex counts before and after.
+export function simplifyContours(contourFeatures, tolerance, smoothIterations, tileWidth) {
+  const pixelTolerance = tolerance * tileWidth / OUTPUT_TILE_SIZE;
+  let before = 0;
+  let after = 0;
+
+  const features = contourFeatures.map(feature => {
+    const coordinates = feature.coordinates.map(line => {
+      before += line.length;
+      const simplified = smoothLine(simplifyLine(line, pixelTolerance), smoothIterations);
+      after += simplified.length;
+      return simplified;
+    });
+
+    return { ...feature, coordinates };
+  });
+
+  return { features, before, after };
+}
@@ -0,0 +1,95 @@
+// Slope angle and aspect rendering from a buffered elevation grid.
+// Both are coloured with a ramp mapping a lower bound (in degrees) to the
+// colour used from that value up to the next bound; values below the lowest
+// bound are transparent.
+
+import { forEachGradient, isColor, parseColor } from './terrain.js';
+
+// Classic avalanche terrain bands
+export const DEFAULT_SLOPE_RAMP = {
+  30: '#f2e400cc',
+  35: '#f29100cc',
+  40: '#e3001bcc',
+  45: '#9b1f8ccc'
+};
+
+// Eight compass sectors of the direction a slope faces, clockwise from north
+export const DEFAULT_ASPECT_RAMP = {
+  0: '#3c78d8cc',
+  22.5: '#6aa84fcc',
+  67.5: '#b6d7a8cc',
+  112.5: '#ffd966cc',
+  157.5: '#e69138cc',
+  202.5: '#cc0000cc',
+  247.5: '#a64d79cc',
+  292.5: '#674ea7cc',
+  337.5: '#3c78d8cc'
+};
+
+// Slopes flatter than this (degrees) have no meaningful aspect and stay transparent
+const FLAT_SLOPE = 1;
+
+// Check a colour ramp, returning true or a description of the problem
+export function validateRamp(ramp) {
+  if (typeof ramp === 'object' && ramp !== null && !Array.isArray(ramp) && Object.keys(ramp).length > 0 &&
+      Object.entries(ramp).every(([bound, color]) => Number.isFinite(Number(bound)) && isColor(color))) {
+    return true;
+  }
+
+  return 'must be an object mapping degrees to #rrggbb or #rrggbbaa colors';
+}
+
+// Sorted [bound, [r, g, b, a]] stops of a ramp
+function rampStops(ramp) {
+  return Object.entries(ramp)
+    .map(([bound, color]) => [Number(bound), parseColor(color)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+const TRANSPARENT = [0, 0, 0, 0];
+
+// Colour of the highest stop at or below a value
+function rampColor(stops, value) {
+  let color = TRANSPARENT;
+  for (const [bound, stopColor] of stops) {
+    if (bound > value) break;
+    color = stopColor;
+  }
+  return color;
+}
+
+// Render an RGBA image of a per-pixel value (in degrees) coloured by a ramp
+function renderRamp(grid, z, y, ramp, valueAt) {
+  const { tileWidth, tileHeight } = grid;
+  const stops = rampStops(ramp);
+  const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+
+  forEachGradient(grid, z, y, (i, j, dzdx, dzdy) => {
+    const value = valueAt(dzdx, dzdy);
+    const color = value === null ? TRANSPARENT : rampColor(stops, value);
+    pixels.set(color, (j * tileWidth + i) * 4);
+  });
+
+  return pixels;
+}
+
+// Slope angle in degrees from the horizontal
+function slopeDegrees(dzdx, dzdy) {
+  return Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy)) * 180 / Math.PI;
+}
+
+// Render the slope angle of the tile inside a buffered grid.
+// z and y locate the tile for ground resolution.
+export function renderSlope(grid, z, y, ramp) {
+  return renderRamp(grid, z, y, ramp, slopeDegrees);
+}
+
+// Render the aspect (direction a slope faces, in degrees clockwise from north)
+// of the tile inside a buffered grid. Flat ground is transparent.
+export function renderAspect(grid, z, y, ramp) {
+  return renderRamp(grid, z, y, ramp, (dzdx, dzdy) => {
+    if (slopeDegrees(dzdx, dzdy) < FLAT_SLOPE) return null;
+    const aspect = Math.atan2(-dzdx, -dzdy) * 180 / Math.PI;
+    return aspect < 0 ? aspect + 360 : aspect;
+  });
+}
@@ -0,0 +1,123 @@
+// Spot heights: summits found as local maxima of a stitched elevation grid,
+// ranked by topographic prominence.
+// Prominence comes from a union-find sweep over the grid, highest pixels
+// first: every local maximum starts a component, and where two components
+// meet (at a col), the lower summit's prominence is its height above the col.
+// It is measured within the stitched grid, so it is exact for summits whose
+// key col lies in the grid and capped at the height above the grid's lowest
+// point otherwise. Nodata pixels are left out, so the highest summit of each
+// area of data separated by nodata gets the capped prominence.
+
+import { FEET_PER_METER } from './contours.js';
+
+// Fraction of the tile size stitched around the tile for peak detection
+export const SPOT_HEIGHT_BUFFER = 0.5;
+
+const OFFSETS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Indices of the pixels with data sorted by elevation, highest first.
+// Elevations are packed with the index into doubles so the native numeric
+// sort can be used.
+function sortByElevation(elevations, minEle) {
+  const indexBits = Math.pow(2, Math.ceil(Math.log2(elevations.length + 1)));
+  const keys = new Float64Array(elevations.length);
+  let count = 0;
+  for (let i = 0; i < elevations.length; i++) {
+    if (Number.isNaN(elevations[i])) continue;
+    keys[count++] = Math.round((elevations[i] - minEle) * 100) * indexBits + i;
+  }
+  const sorted = keys.subarray(0, count).sort();
+
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    order[i] = sorted[count - 1 - i] % indexBits;
+  }
+  return order;
+}
+
+// Find the spot heights of the tile inside a stitched grid (see stitchTiles).
+// Only summits with at least minProminence (in units) are kept, the most
+// prominent limit of them. Returns { x, y, ele, prominence } points in tile
+// pixel coordinates, elevations in units.
+export function findSpotHeights(grid, units, minProminence, limit) {
+  const { width, height, tileWidth, tileHeight, buffer } = grid;
+  const scale = units === 'feet' ? FEET_PER_METER : 1;
+  const elevations = scale === 1 ? grid.data : grid.data.map(elevation => elevation * scale);
+
+  let minEle = Infinity;
+  for (let i = 0; i < elevations.length; i++) {
+    if (elevations[i] < minEle) minEle = elevations[i];
+  }
+
+  const parent = new Int32Array(elevations.length).fill(-1);
+  const summit = new Int32Array(elevations.length);
+  const prominence = new Map();
+
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const order = sortByElevation(elevations, minEle);
+  for (const index of order) {
+    const x = index % width;
+    const y = (index - x) / width;
+    parent[index] = index;
+    summit[index] = index;
+    let joined = false;
+
+    for (const [dx, dy] of OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const neighbor = ny * width + nx;
+      if (parent[neighbor] === -1) continue;
+
+      const root = find(index);
+      const neighborRoot = find(neighbor);
+      if (root === neighborRoot) continue;
+
+      if (!joined) {
+        // Joining higher ground first: this pixel is not a summit
+        parent[root] = neighborRoot;
+        joined = true;
+        continue;
+      }
+
+      // A col between two summits: the lower one ends here
+      const [lower, higher] = elevations[summit[root]] < elevations[summit[neighborRoot]]
+        ? [root, neighborRoot]
+        : [neighborRoot, root];
+      prominence.set(summit[lower], elevations[summit[lower]] - elevations[index]);
+      parent[lower] = higher;
+    }
+
+    if (!joined) {
+      prominence.set(index, 0);
+    }
+  }
+
+  // The highest summit of each area never meets higher ground
+  for (const index of order) {
+    if (parent[index] === index) {
+      prominence.set(summit[index], elevations[summit[index]] - minEle);
+    }
+  }
+
+  const points = [];
+  for (const [index, value] of prominence) {
+    if (value < minProminence) continue;
+    const x = index % width - buffer;
+    const y = (index - (index % width)) / width - buffer;
+    if (x < 0 || y < 0 || x >= tileWidth || y >= tileHeight) continue;
+
+    points.push({ x: x + 0.5, y: y + 0.5, ele: elevations[index], prominence: value });
+  }
+
+  return points
+    .sort((a, b) => b.prominence - a.prominence)
+    .slice(0, limit);
+}
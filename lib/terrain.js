@@ -0,0 +1,46 @@
+// Shared helpers for raster products derived from a buffered elevation grid
+// (hillshade, slope and aspect): surface gradients and colours.
+
+import { pixelGroundResolution } from './contours.js';
+
+const COLOR_PATTERN = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Check a #rrggbb or #rrggbbaa colour (the # is optional)
+export function isColor(value) {
+  return typeof value === 'string' && COLOR_PATTERN.test(value);
+}
+
+// Parse #rrggbb or #rrggbbaa into [r, g, b, a]
+export function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4, 6].map(i => (i < hex.length ? parseInt(hex.slice(i, i + 2), 16) : 255));
+}
+
+// Call visit(i, j, dzdx, dzdy) for every pixel of the tile inside a grid
+// buffered by at least one pixel (see stitchTiles), with the east and north
+// elevation gradients from Horn's method. Gradients are unitless (rise over
+// run): ground distances use the resolution at each row's latitude, which
+// z and y (the tile row) locate. Pixels next to nodata have no gradient and
+// are skipped, leaving them transparent.
+export function forEachGradient(grid, z, y, visit) {
+  const { data, width, tileWidth, tileHeight, buffer } = grid;
+
+  for (let j = 0; j < tileHeight; j++) {
+    const scale = 1 / (8 * pixelGroundResolution(z, y, j + 0.5, tileHeight));
+    const row = j + buffer;
+
+    for (let i = 0; i < tileWidth; i++) {
+      const center = row * width + i + buffer;
+      const a = data[center - width - 1], b = data[center - width], c = data[center - width + 1];
+      const d = data[center - 1], f = data[center + 1];
+      const g = data[center + width - 1], h = data[center + width], k = data[center + width + 1];
+
+      // dzdy points north, up the grid
+      const dzdx = ((c + 2 * f + k) - (a + 2 * d + g)) * scale;
+      const dzdy = ((a + 2 * b + c) - (g + 2 * h + k)) * scale;
+      if (Number.isNaN(dzdx + dzdy)) continue;
+
+      visit(i, j, dzdx, dzdy);
+    }
+  }
+}
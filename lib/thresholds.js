@@ -0,0 +1,91 @@
+// Zoom-dependent contour thresholds, in the same shape maplibre-contour uses:
+// an object mapping a zoom level to the intervals used from that zoom on,
+// smallest first, e.g. { 11: [200, 1000], 12: [100, 500], 14: [50, 200] }.
+// Each contour gets the index of the largest interval dividing its elevation
+// as its level, so [20, 100, 500] gives levels 0, 1 and 2.
+
+// Check a thresholds object, returning true or a description of the problem
+export function validateThresholds(thresholds) {
+  if (typeof thresholds !== 'object' || thresholds === null || Array.isArray(thresholds)) {
+    return 'must be an object mapping zoom levels to interval arrays';
+  }
+
+  const zooms = Object.keys(thresholds);
+  if (zooms.length === 0) {
+    return 'must configure at least one zoom level';
+  }
+
+  for (const zoom of zooms) {
+    if (!/^\d+$/.test(zoom)) {
+      return `has invalid zoom level "${zoom}"`;
+    }
+
+    const levels = thresholds[zoom];
+    if (!Array.isArray(levels) || levels.length === 0 ||
+        !levels.every(level => typeof level === 'number' && level > 0)) {
+      return `must map zoom ${zoom} to a non-empty array of positive numbers`;
+    }
+    if (levels.some((level, i) => i > 0 && level <= levels[i - 1])) {
+      return `must list the intervals of zoom ${zoom} in ascending order`;
+    }
+  }
+
+  return true;
+}
+
+// Parse the maplibre-contour URL form "zoom*minor*major~zoom*minor*major"
+export function parseThresholds(text) {
+  const thresholds = {};
+
+  let previous = -1;
+  for (const part of text.split('~')) {
+    const [zoom, ...levels] = part.split('*');
+    if (/^\d+$/.test(zoom) && Number(zoom) <= previous) {
+      throw new Error(`Invalid thresholds "${text}": zoom levels must be in ascending order`);
+    }
+    previous = Number(zoom);
+    thresholds[zoom] = levels.map(Number);
+  }
+
+  const result = validateThresholds(thresholds);
+  if (result !== true) {
+    throw new Error(`Invalid thresholds "${text}": ${result}`);
+  }
+
+  return thresholds;
+}
+
+// Format thresholds in the maplibre-contour URL form
+export function formatThresholds(thresholds) {
+  return Object.entries(thresholds)
+    .map(([zoom, levels]) => [zoom, ...levels].join('*'))
+    .join('~');
+}
+
+// Value of a zoom table (an object keyed by zoom level) for a zoom level:
+// the value of the highest configured zoom at or below it, else the fallback
+export function valueForZoom(table, z, fallback) {
+  let bestZoom = -1;
+  let value = fallback;
+
+  for (const [zoom, zoomValue] of Object.entries(table)) {
+    const zoomNumber = Number(zoom);
+    if (zoomNumber <= z && zoomNumber > bestZoom) {
+      bestZoom = zoomNumber;
+      value = zoomValue;
+    }
+  }
+
+  return value;
+}
+
+// Smallest interval of a thresholds object at any zoom
+export function smallestInterval(thresholds) {
+  return Math.min(...Object.values(thresholds).map(levels => levels[0]));
+}
+
+// Intervals for a zoom level, or an empty array (no contours) below the
+// lowest configured zoom
+export function levelsForZoom(thresholds, z) {
+  return valueForZoom(thresholds, z, []);
+}
@@ -0,0 +1,191 @@
+import { createHash, randomUUID } from 'crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { LRUCache } from './lru-cache.js';
+
+// Build the cache key for a generated tile.
+// The source version and a hash of the contour parameters are part of the key,
+// so changing either never serves a tile generated with the old values.
+// The extension keeps tiles of different formats apart.
+export function tileCacheKey(tileset, version, z, x, y, params, extension = 'mvt') {
+  const paramsHash = createHash('sha1')
+    .update(JSON.stringify(params))
+    .digest('hex')
+    .slice(0, 12);
+
+  return `${tileset}/${version}/${paramsHash}/${z}/${x}/${y}.${extension}`;
+}
+
+// Bounded in-memory store (LRU by total byte size)
+export class MemoryTileStore {
+  constructor(maxBytes) {
+    this.name = 'memory';
+    this.lru = new LRUCache({ maxSize: maxBytes, sizeOf: data => data.length });
+  }
+
+  async get(key) {
+    return this.lru.get(key);
+  }
+
+  async set(key, data) {
+    this.lru.set(key, data);
+  }
+
+  async invalidate(tileset, currentVersion) {
+    const current = `${tileset}/${currentVersion}/`;
+    this.lru.deleteWhere(key => key.startsWith(`${tileset}/`) && !key.startsWith(current));
+  }
+
+  stats() {
+    return {
+      entries: this.lru.count,
+      bytes: this.lru.size,
+      maxBytes: this.lru.maxSize
+    };
+  }
+}
+
+// On-disk store, one file per tile under <directory>/<tileset>/<version>/...
+export class DiskTileStore {
+  constructor(directory) {
+    this.name = 'disk';
+    this.directory = directory;
+  }
+
+  pathFor(key) {
+    return join(this.directory, key);
+  }
+
+  async get(key) {
+    try {
+      return await readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(key, data) {
+    const path = this.pathFor(key);
+    await mkdir(dirname(path), { recursive: true });
+
+    // Write to a temporary file of this write's own first, so readers never
+    // see a partial tile and concurrent writes of the same tile don't mix.
+    // A failed write leaves no temporary file behind.
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+    try {
+      await writeFile(tempPath, data);
+      await rename(tempPath, path);
+    } catch (error) {
+      await rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async invalidate(tileset, currentVersion) {
+    let versions;
+    try {
+      versions = await readdir(join(this.directory, tileset));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const version of versions) {
+      if (version !== currentVersion) {
+        await rm(join(this.directory, tileset, version), { recursive: true, force: true });
+      }
+    }
+  }
+
+  stats() {
+    return { directory: this.directory };
+  }
+}
+
+// Tile cache consulting each store in order (fastest first).
+// Store failures are logged and treated as misses so a broken cache
+// directory never takes tile serving down with it.
+export class TileCache {
+  constructor(stores) {
+    this.stores = stores;
+    this.versions = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.storeHits = Object.fromEntries(stores.map(store => [store.name, 0]));
+  }
+
+  get enabled() {
+    return this.stores.length > 0;
+  }
+
+  // Record the current source version of a tileset, dropping cached tiles
+  // generated from any other version
+  async setVersion(tileset, version) {
+    if (this.versions.get(tileset) === version) return;
+
+    const previous = this.versions.get(tileset);
+    this.versions.set(tileset, version);
+
+    if (previous !== undefined) {
+      console.log(`Source for ${tileset} changed, invalidating cached tiles`);
+    }
+
+    for (const store of this.stores) {
+      try {
+        await store.invalidate(tileset, version);
+      } catch (error) {
+        console.error(`Error invalidating ${store.name} tile cache for ${tileset}:`, error);
+      }
+    }
+  }
+
+  async get(key) {
+    for (let i = 0; i < this.stores.length; i++) {
+      const store = this.stores[i];
+      let data;
+      try {
+        data = await store.get(key);
+      } catch (error) {
+        console.error(`Error reading ${store.name} tile cache:`, error);
+        continue;
+      }
+
+      if (data !== undefined) {
+        this.hits++;
+        this.storeHits[store.name]++;
+
+        // Promote into the faster stores in front of this one
+        for (const faster of this.stores.slice(0, i)) {
+          await faster.set(key, data).catch(() => {});
+        }
+        return data;
+      }
+    }
+
+    this.misses++;
+    return undefined;
+  }
+
+  async set(key, data) {
+    for (const store of this.stores) {
+      try {
+        await store.set(key, data);
+      } catch (error) {
+        console.error(`Error writing ${store.name} tile cache:`, error);
+      }
+    }
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      stores: Object.fromEntries(this.stores.map(store => [
+        store.name,
+        { hits: this.storeHits[store.name], ...store.stats() }
+      ]))
+    };
+  }
+}
@@ -0,0 +1,207 @@
+import { decodeImage, decodeElevations, hasNodata, stitchTiles, generateContours, clipContoursToTile, encodeMVT, inArea } from './contours.js';
+import { simplifyContours } from './simplify.js';
+import { generateBands, translateBands } from './bands.js';
+import { findSpotHeights, SPOT_HEIGHT_BUFFER } from './spot-heights.js';
+import { placeContourLabels } from './labels.js';
+import { cropContoursToTile } from './geojson.js';
+import { resampleTile, resizeTile, OVERZOOM_BUFFER } from './overzoom.js';
+import { renderHillshade } from './hillshade.js';
+import { renderSlope, renderAspect } from './slope-aspect.js';
+import sharp from 'sharp';
+
+// Float32 grid backed by shared memory, so a tile is cached once and
+// handed to any worker without copying
+function sharedGrid(width, height) {
+  return new Float32Array(new SharedArrayBuffer(width * height * Float32Array.BYTES_PER_ELEMENT));
+}
+
+// Raster products rendered by the raster task
+const RENDERERS = {
+  hillshade: renderHillshade,
+  slope: renderSlope,
+  aspect: renderAspect
+};
+
+// CPU-bound tile tasks run by the worker pool (or inline when it has no workers).
+// Each task resolves to { result, transfer }, where transfer lists ArrayBuffers
+// moved rather than copied back to the caller.
+export const tasks = {
+  // Decode a compressed DEM tile into a grid of elevations in meters, with
+  // transparent pixels and the nodata elevations as NaN
+  async decode({ buffer, encoding, nodata }) {
+    const { data, width, height } = await decodeImage(Buffer.from(buffer));
+    const elevations = decodeElevations(data, width, height, encoding, sharedGrid(width, height), nodata);
+
+    return { result: { data: elevations, width, height, hasNodata: hasNodata(elevations) } };
+  },
+
+  // Resample a tile beyond the archive's max zoom from its ancestor's 3x3 neighbourhood.
+  // Resolves to null when the ancestor does not exist.
+  async overzoom({ tiles, positions, dz, offsetX, offsetY, method }) {
+    const grid = stitchTiles(tiles, positions, OVERZOOM_BUFFER);
+    if (!grid) {
+      return { result: null };
+    }
+
+    const elevations = resampleTile(grid, dz, offsetX, offsetY, method, sharedGrid(grid.tileWidth, grid.tileHeight));
+    return {
+      result: { data: elevations, width: grid.tileWidth, height: grid.tileHeight, hasNodata: hasNodata(elevations) }
+    };
+  },
+
+  // Resample a decoded tile to width x height pixels
+  async resize({ tile, width, height }) {
+    const elevations = resizeTile(tile, width, height, sharedGrid(width, height));
+    return { result: { data: elevations, width, height, hasNodata: hasNodata(elevations) } };
+  },
+
+  // Fill the nodata pixels of a tile from a fallback tile of the same area,
+  // resampled to the tile's size when it has another
+  async fill({ tile, fallback }) {
+    const { width, height } = tile;
+    const values = fallback.width === width && fallback.height === height
+      ? fallback.data
+      : resizeTile(fallback, width, height);
+
+    const elevations = sharedGrid(width, height);
+    for (let i = 0; i < elevations.length; i++) {
+      elevations[i] = Number.isNaN(tile.data[i]) ? values[i] : tile.data[i];
+    }
+    return { result: { data: elevations, width, height, hasNodata: hasNodata(elevations) } };
+  },
+
+  // Stitch a 3x3 elevation neighbourhood, generate contours and encode them to MVT.
+  // Contours use levels, and seaLevels below sea level, within area (see
+  // generateContours). Optional layers: elevation bands every bandInterval,
+  // and every seaBandInterval below sea level, if set, and spot heights when spotHeights ({ minProminence, limit }) is
+  // set, and contour label anchors every labelSpacing pixels, if set. Bands
+  // and spot heights are kept to area too. bathymetry is passed to encodeMVT.
+  // Resolves to null when none of the tiles exist.
+  async contours({
+    tiles, positions, bufferPixels, z, x, y, levels, seaLevels, area, units, simplifyTolerance, smoothIterations,
+    bandInterval, seaBandInterval, spotHeights, labelSpacing, bathymetry
+  }) {
+    const stitched = stitchTiles(tiles, positions, bufferPixels);
+    if (!stitched) {
+      return { result: null };
+    }
+
+    // Generate contours on the buffered tile (tileWidth + 2*buffer pixels)
+    const contourFeatures = generateContours(
+      stitched.data,
+      stitched.width,
+      stitched.height,
+      levels,
+      units,
+      seaLevels,
+      area
+    );
+
+    // Clip/translate contours to tile coordinates
+    const clippedFeatures = clipContoursToTile(
+      contourFeatures,
+      stitched.tileWidth,
+      stitched.tileHeight,
+      stitched.buffer
+    );
+
+    // Simplify (and optionally smooth) lines to drop redundant vertices
+    const simplified = simplifyContours(clippedFeatures, simplifyTolerance, smoothIterations, stitched.tileWidth);
+    console.log(`Simplified contours ${z}/${x}/${y}: ${simplified.before} -> ${simplified.after} vertices ` +
+      `(tolerance ${simplifyTolerance}px, smoothing ${smoothIterations})`);
+
+    // Filled elevation bands, when requested
+    let bands = null;
+    if (bandInterval) {
+      bands = translateBands(generateBands(
+        stitched.data,
+        stitched.width,
+        stitched.height,
+        bandInterval,
+        units,
+        simplifyTolerance,
+        stitched.tileWidth,
+        seaBandInterval
+      ), stitched.buffer).filter(band => inArea(band.min, area) && inArea(band.max, area));
+    }
+
+    // Spot heights, from a wider neighbourhood so summits near the tile edges
+    // are compared with the terrain beyond them
+    let peaks = null;
+    if (spotHeights) {
+      const wide = stitchTiles(tiles, positions, Math.round(stitched.tileWidth * SPOT_HEIGHT_BUFFER));
+      peaks = findSpotHeights(wide, units, spotHeights.minProminence, Infinity)
+        .filter(point => inArea(point.ele, area))
+        .slice(0, spotHeights.limit);
+    }
+
+    // Label anchors on the lines as encoded
+    const labels = labelSpacing
+      ? placeContourLabels(simplified.features, stitched.tileWidth, stitched.tileHeight, labelSpacing)
+      : null;
+
+    // Encode to MVT using the original tile dimensions
+    const mvtBuffer = encodeMVT(simplified.features, stitched.tileWidth, stitched.tileHeight, z, x, y, {
+      units,
+      bands,
+      spotHeights: peaks,
+      labels,
+      bathymetry
+    });
+
+    return { result: mvtBuffer };
+  },
+
+  // Stitch a 3x3 elevation neighbourhood and generate contours cut to the tile
+  // edges, in tile pixels, for GeoJSON output. Lines are cut before they are
+  // simplified, so pieces in neighbouring tiles meet exactly on the seam.
+  // Resolves to null when none of the tiles exist.
+  async contourLines({
+    tiles, positions, bufferPixels, z, x, y, levels, seaLevels, area, units, simplifyTolerance, smoothIterations
+  }) {
+    const stitched = stitchTiles(tiles, positions, bufferPixels);
+    if (!stitched) {
+      return { result: null };
+    }
+
+    const contourFeatures = generateContours(
+      stitched.data, stitched.width, stitched.height, levels, units, seaLevels, area
+    );
+    const cropped = cropContoursToTile(
+      clipContoursToTile(contourFeatures, stitched.tileWidth, stitched.tileHeight, stitched.buffer),
+      stitched.tileWidth,
+      stitched.tileHeight
+    );
+
+    const simplified = simplifyContours(cropped, simplifyTolerance, smoothIterations, stitched.tileWidth);
+    console.log(`Simplified contours ${z}/${x}/${y}: ${simplified.before} -> ${simplified.after} vertices ` +
+      `(tolerance ${simplifyTolerance}px, smoothing ${smoothIterations})`);
+
+    return {
+      result: {
+        features: simplified.features.map(({ value, level, coordinates }) => ({ value, level, coordinates })),
+        tileWidth: stitched.tileWidth,
+        tileHeight: stitched.tileHeight
+      }
+    };
+  },
+
+  // Stitch a 3x3 elevation neighbourhood and render the centre tile as a
+  // hillshade, slope or aspect image in PNG or WebP. options are the
+  // hillshade options, or the colour ramp for slope and aspect.
+  // Resolves to null when none of the tiles exist.
+  async raster({ tiles, positions, z, y, product, format, options }) {
+    const stitched = stitchTiles(tiles, positions, 1);
+    if (!stitched) {
+      return { result: null };
+    }
+
+    const pixels = RENDERERS[product](stitched, z, y, options);
+    const image = sharp(pixels, {
+      raw: { width: stitched.tileWidth, height: stitched.tileHeight, channels: 4 }
+    });
+    const encoded = format === 'webp' ? await image.webp().toBuffer() : await image.png().toBuffer();
+
+    return { result: encoded };
+  }
+};
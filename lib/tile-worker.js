@@ -0,0 +1,12 @@
+import { parentPort } from 'worker_threads';
+import { tasks } from './tile-tasks.js';
+
+// Worker thread entry point: runs one task at a time for the WorkerPool
+parentPort.on('message', async ({ type, payload }) => {
+  try {
+    const { result, transfer = [] } = await tasks[type](payload);
+    parentPort.postMessage({ result }, transfer);
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+  }
+});
@@ -0,0 +1,218 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { validateThresholds } from './thresholds.js';
+import { RESAMPLING_METHODS } from './overzoom.js';
+import { DEFAULT_HILLSHADE, validateHillshadeOptions } from './hillshade.js';
+import { DEFAULT_SLOPE_RAMP, DEFAULT_ASPECT_RAMP, validateRamp } from './slope-aspect.js';
+
+// Directory-wide configuration file, an object keyed by tileset name
+export const DIRECTORY_CONFIG_FILE = 'tilesets.json';
+
+// Remote archives served next to the files of the directory, keyed by tileset name
+export const SOURCES_CONFIG_FILE = 'sources.json';
+
+// Tilesets named like a directory-wide file have no sidecar: <name>.json is that file
+const RESERVED_SIDECARS = [DIRECTORY_CONFIG_FILE, SOURCES_CONFIG_FILE];
+
+const ENCODINGS = ['terrarium', 'mapbox'];
+export const ELEVATION_UNITS = ['meters', 'feet'];
+export const CONTOUR_AREAS = ['all', 'land', 'sea'];
+
+// Minimum prominence (in units) and maximum number per tile of spot heights, by zoom
+const DEFAULT_SPOT_HEIGHT_PROMINENCE = { 0: 300, 10: 100, 12: 50, 14: 20 };
+const DEFAULT_SPOT_HEIGHT_LIMIT = { 0: 5, 12: 10, 14: 20 };
+
+// Minimum distance between contour labels on a line, in pixels of a 256 pixel tile, by zoom
+const DEFAULT_CONTOUR_LABEL_SPACING = { 0: 256 };
+
+// Settings a tileset may override, with a validator for each
+const SETTINGS = {
+  encoding: value => ENCODINGS.includes(value) || `must be one of ${ENCODINGS.join(', ')}`,
+  contourInterval: value => (typeof value === 'number' && value > 0) || 'must be a positive number',
+  majorInterval: value => (typeof value === 'number' && value > 0) || 'must be a positive number',
+  thresholds: validateThresholds,
+  bathymetryThresholds: validateThresholds,
+  bathymetry: value => value === true || value === false || value === 'layer' || 'must be true, false or "layer"',
+  contourArea: value => CONTOUR_AREAS.includes(value) || `must be one of ${CONTOUR_AREAS.join(', ')}`,
+  simplifyTolerance: zoomTable(value => typeof value === 'number' && value >= 0, 'a non-negative number'),
+  smoothIterations: value => (Number.isInteger(value) && value >= 0 && value <= 4) ||
+    'must be an integer from 0 to 4',
+  units: value => ELEVATION_UNITS.includes(value) || `must be one of ${ELEVATION_UNITS.join(', ')}`,
+  maxOverzoom: value => (Number.isInteger(value) && value >= 0) || 'must be a non-negative integer',
+  resampling: value => RESAMPLING_METHODS.includes(value) || `must be one of ${RESAMPLING_METHODS.join(', ')}`,
+  nodata: value => typeof value === 'number' ||
+    (Array.isArray(value) && value.every(entry => typeof entry === 'number')) || 'must be a number or a list of numbers',
+  minzoom: value => (Number.isInteger(value) && value >= 0) || 'must be a non-negative integer',
+  maxzoom: value => (Number.isInteger(value) && value >= 0) || 'must be a non-negative integer',
+  contourBands: value => typeof value === 'boolean' || 'must be true or false',
+  spotHeights: value => typeof value === 'boolean' || 'must be true or false',
+  spotHeightProminence: zoomTable(value => typeof value === 'number' && value >= 0, 'a non-negative number'),
+  spotHeightLimit: zoomTable(value => Number.isInteger(value) && value >= 0, 'a non-negative integer'),
+  contourLabels: value => typeof value === 'boolean' || 'must be true or false',
+  contourLabelSpacing: zoomTable(value => typeof value === 'number' && value > 0, 'a positive number'),
+  hillshade: validateHillshadeOptions,
+  slopeRamp: validateRamp,
+  aspectRamp: validateRamp
+};
+
+// Validator of a value, or a zoom table of values, accepted by isValue
+function zoomTable(isValue, description) {
+  return value => {
+    if (isValue(value)) return true;
+
+    if (typeof value === 'object' && value !== null && !Array.isArray(value) &&
+        Object.entries(value).every(([zoom, entry]) => /^\d+$/.test(zoom) && isValue(entry))) {
+      return true;
+    }
+
+    return `must be ${description} or an object mapping zoom levels to ${description.replace(/^an? /, '')}s`;
+  };
+}
+
+// Read a JSON file, returning null when it does not exist
+async function readJsonFile(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${path}: ${error.message}`);
+  }
+}
+
+// Validate the settings of one tileset, throwing on the first invalid value
+export function validateTilesetConfig(config, origin) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`${origin}: tileset configuration must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const validate = SETTINGS[key];
+    if (!validate) {
+      throw new Error(`${origin}: unknown setting "${key}"`);
+    }
+
+    const result = validate(value);
+    if (result !== true) {
+      throw new Error(`${origin}: "${key}" ${result}`);
+    }
+  }
+
+  if (config.minzoom !== undefined && config.maxzoom !== undefined && config.minzoom > config.maxzoom) {
+    throw new Error(`${origin}: "minzoom" must not be greater than "maxzoom"`);
+  }
+
+  return config;
+}
+
+// Read the remote archives and composite tilesets of sources.json in the
+// directory. Each tileset name maps to an http(s) URL of a PMTiles archive,
+// to an object with the url and extra request headers (e.g. for
+// authorization), or to an object listing the layers of a composite: names of
+// other tilesets, highest priority first.
+// Resolves to a Map of name -> { url, headers } or { layers }, empty without the file.
+export async function loadSourcesConfig(directory) {
+  const path = join(directory, SOURCES_CONFIG_FILE);
+  const sources = (await readJsonFile(path)) || {};
+  if (typeof sources !== 'object' || Array.isArray(sources)) {
+    throw new Error(`${path}: must be an object keyed by tileset name`);
+  }
+
+  const entries = new Map();
+  for (const [name, source] of Object.entries(sources)) {
+    const { url, headers = {}, layers, ...unknown } = typeof source === 'string' ? { url: source } : source || {};
+    if (Object.keys(unknown).length > 0) {
+      throw new Error(`${path} (${name}): unknown setting "${Object.keys(unknown)[0]}"`);
+    }
+
+    if (layers !== undefined) {
+      if (url !== undefined) {
+        throw new Error(`${path} (${name}): a tileset has either a "url" or "layers"`);
+      }
+      if (!Array.isArray(layers) || layers.length === 0 || !layers.every(layer => typeof layer === 'string') ||
+          new Set(layers).size !== layers.length || layers.includes(name)) {
+        throw new Error(`${path} (${name}): "layers" must be a list of other tileset names, each listed once`);
+      }
+      entries.set(name, { layers });
+      continue;
+    }
+
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      throw new Error(`${path} (${name}): "url" must be an http or https URL`);
+    }
+    if (typeof headers !== 'object' || headers === null || Array.isArray(headers) ||
+        !Object.values(headers).every(value => typeof value === 'string')) {
+      throw new Error(`${path} (${name}): "headers" must be an object of strings`);
+    }
+    entries.set(name, { url, headers });
+  }
+
+  return entries;
+}
+
+// Resolve the effective configuration of each tileset. Later sources win:
+// defaults (from the environment) < tilesets.json in the directory < <tileset>.json sidecar,
+// except for tilesets named tilesets or sources, which have no sidecar.
+// Without explicit thresholds, contourInterval and majorInterval apply at every zoom,
+// and without bathymetryThresholds the thresholds apply below sea level too;
+// a single simplifyTolerance, spotHeightProminence, spotHeightLimit or
+// contourLabelSpacing becomes a zoom table applying at every zoom, and a
+// single nodata elevation a list of one. Elevation
+// bands, spot heights and contour labels are off, and other optional settings
+// take built-in defaults.
+export async function loadTilesetConfigs(directory, names, defaults) {
+  const directoryConfigPath = join(directory, DIRECTORY_CONFIG_FILE);
+  const directoryConfig = (await readJsonFile(directoryConfigPath)) || {};
+
+  for (const name of Object.keys(directoryConfig)) {
+    if (!names.includes(name)) {
+      console.warn(`Warning: ${DIRECTORY_CONFIG_FILE} configures unknown tileset "${name}"`);
+    }
+  }
+
+  const configs = new Map();
+
+  for (const name of names) {
+    const fromDirectory = directoryConfig[name]
+      ? validateTilesetConfig(directoryConfig[name], `${directoryConfigPath} (${name})`)
+      : {};
+
+    const sidecarPath = join(directory, `${name}.json`);
+    const sidecar = RESERVED_SIDECARS.includes(`${name}.json`) ? null : await readJsonFile(sidecarPath);
+    const fromSidecar = sidecar ? validateTilesetConfig(sidecar, sidecarPath) : {};
+
+    const config = validateTilesetConfig(
+      { ...defaults, ...fromDirectory, ...fromSidecar },
+      `Tileset ${name}`
+    );
+    config.thresholds ??= { 0: [config.contourInterval, config.majorInterval] };
+    config.bathymetryThresholds ??= config.thresholds;
+    config.spotHeightProminence ??= DEFAULT_SPOT_HEIGHT_PROMINENCE;
+    config.spotHeightLimit ??= DEFAULT_SPOT_HEIGHT_LIMIT;
+    config.contourLabelSpacing ??= DEFAULT_CONTOUR_LABEL_SPACING;
+    for (const key of ['simplifyTolerance', 'spotHeightProminence', 'spotHeightLimit', 'contourLabelSpacing']) {
+      if (typeof config[key] === 'number') {
+        config[key] = { 0: config[key] };
+      }
+    }
+    config.nodata = [config.nodata ?? []].flat();
+    config.bathymetry ??= false;
+    config.contourArea ??= 'all';
+    config.contourBands ??= false;
+    config.spotHeights ??= false;
+    config.contourLabels ??= false;
+    config.hillshade = { ...DEFAULT_HILLSHADE, ...config.hillshade };
+    config.slopeRamp ??= DEFAULT_SLOPE_RAMP;
+    config.aspectRamp ??= DEFAULT_ASPECT_RAMP;
+
+    configs.set(name, config);
+  }
+
+  return configs;
+}
@@ -0,0 +1,345 @@
+import { watch } from 'fs';
+import { readdir, stat } from 'fs/promises';
+import { basename, extname, join } from 'path';
+import { ARCHIVE_EXTENSIONS, CompositeArchive, isRemoteLocation } from './archives.js';
+import { loadSourcesConfig, loadTilesetConfigs, SOURCES_CONFIG_FILE } from './tileset-config.js';
+import { openTileset } from './tilesets.js';
+import { formatThresholds } from './thresholds.js';
+
+// Reload events kept for the admin endpoint
+const MAX_EVENTS = 100;
+
+function compositeArchive(layerEntries) {
+  return new CompositeArchive(layerEntries.map(({ name, archive, config }) => ({ name, archive, config })));
+}
+
+// The tilesets of a directory: its .pmtiles and .mbtiles files and the remote
+// archives and composites of its sources.json, each with its resolved configuration.
+// scan() brings them in line with the directory: new archives are opened,
+// replaced ones (or ones whose configuration changed) are opened again and
+// swapped in, and removed ones are dropped. Requests lease the tileset they
+// use (see acquire), so the archive a swap replaces is only closed once the
+// requests using it have finished. A composite leases its layers' tilesets too.
+export class TilesetRegistry {
+  constructor(directory, { defaults, fallbackEncoding, remoteOptions }) {
+    this.directory = directory;
+    this.defaults = defaults;
+    this.fallbackEncoding = fallbackEncoding;
+    this.remoteOptions = remoteOptions;
+    this.entries = new Map(); // name -> { archive, config, location, fingerprint, loadedAt, leases, retired, stale }
+    this.events = [];
+    this.scanning = Promise.resolve();
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get(name) {
+    return this.entries.get(name);
+  }
+
+  // The current entry of a tileset, leased until the response is closed
+  // (sent or aborted). Undefined for an unknown tileset.
+  acquire(name, res) {
+    const entry = this.entries.get(name);
+    if (!entry) return undefined;
+    if (!entry.layers) {
+      this.lease(entry, res);
+      return entry;
+    }
+
+    // A composite reads the current archives of its layers
+    const layers = entry.layers.map(layer => this.entries.get(layer));
+    if (layers.some(layer => !layer)) return undefined;
+
+    this.lease(entry, res);
+    layers.forEach(layer => this.lease(layer, res));
+    const current = entry.archive.layers.every((layer, i) => layer.archive === layers[i].archive);
+    return current ? entry : { ...entry, archive: compositeArchive(layers) };
+  }
+
+  lease(entry, res) {
+    entry.leases++;
+    res.once('close', () => this.release(entry));
+  }
+
+  // Whether a tileset still serves the archive a request acquired, i.e. it has
+  // not been reloaded or removed since (for a composite: none of its layers)
+  isCurrent(name, archive) {
+    const entry = this.entries.get(name);
+    if (!entry) return false;
+    if (!entry.layers) return entry.archive === archive;
+
+    return archive.layers.length === entry.layers.length &&
+      archive.layers.every((layer, i) => this.entries.get(entry.layers[i])?.archive === layer.archive);
+  }
+
+  release(entry) {
+    entry.leases--;
+    if (entry.retired && entry.leases === 0) {
+      this.close(entry);
+    }
+  }
+
+  // Stop serving an entry, closing its archive once it is no longer leased
+  retire(entry) {
+    entry.retired = true;
+    if (entry.leases === 0) {
+      this.close(entry);
+    }
+  }
+
+  close(entry) {
+    if (entry.layers) return;
+    entry.archive.close().then(
+      () => console.log(`Closed archive of tileset ${entry.name} (${entry.source})`),
+      error => console.error(`Error closing archive of tileset ${entry.name}:`, error)
+    );
+  }
+
+  record(action, name, source, error) {
+    const event = { time: new Date().toISOString(), action, tileset: name, source };
+    if (error) event.error = error.message;
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    return event;
+  }
+
+  // Tileset name -> { location, remote } of the directory's archive files and
+  // the remote archives of its sources.json, and -> { layers } of its composites
+  async locations() {
+    const files = await readdir(this.directory);
+    const locations = new Map();
+    for (const file of files.filter(file => ARCHIVE_EXTENSIONS.includes(extname(file).toLowerCase()))) {
+      locations.set(basename(file, extname(file)), { location: join(this.directory, file), remote: null });
+    }
+
+    let remotes;
+    try {
+      remotes = await loadSourcesConfig(this.directory);
+    } catch (error) {
+      throw new Error(`Invalid ${SOURCES_CONFIG_FILE}: ${error.message}`);
+    }
+    for (const [name, remote] of remotes) {
+      if (locations.has(name)) {
+        throw new Error(`Tileset "${name}" is both a file in ${this.directory} and in ${SOURCES_CONFIG_FILE}`);
+      }
+      locations.set(name, remote.layers
+        ? { location: null, remote: null, layers: remote.layers }
+        : { location: remote.url, remote });
+    }
+
+    // Layers of composites are tilesets reading archives themselves
+    for (const [name, { layers }] of locations) {
+      const invalid = layers?.find(layer => !locations.has(layer) || locations.get(layer).layers);
+      if (invalid) {
+        throw new Error(`Invalid ${SOURCES_CONFIG_FILE}: layer "${invalid}" of "${name}" is not a tileset ` +
+          'of an archive file or URL');
+      }
+    }
+
+    return locations;
+  }
+
+  // Scan the directory and apply the changes. Scans run one at a time.
+  // Resolves to the events of this scan; rejects, changing nothing, when the
+  // directory or its configuration files cannot be read.
+  scan() {
+    const scan = this.scanning.then(() => this.applyScan()).catch(error => {
+      this.record('failed', null, null, error);
+      throw error;
+    });
+    this.scanning = scan.catch(() => {});
+    return scan;
+  }
+
+  async applyScan() {
+    const locations = await this.locations();
+
+    let configs;
+    try {
+      configs = await loadTilesetConfigs(this.directory, [...locations.keys()], this.defaults);
+    } catch (error) {
+      throw new Error(`Invalid tileset configuration: ${error.message}`);
+    }
+
+    const events = [];
+
+    for (const [name, entry] of this.entries) {
+      if (!locations.has(name)) {
+        this.entries.delete(name);
+        this.retire(entry);
+        events.push(this.record('removed', name, entry.source));
+        console.log(`Removed tileset: ${name} (${entry.source})`);
+      }
+    }
+
+    for (const [name, { location, remote, layers }] of locations) {
+      if (layers) continue;
+      const config = configs.get(name);
+      const source = remote ? location : basename(location);
+
+      // Files are told apart by inode, size and modification time, so a file
+      // replaced by a rename or rewritten in place is opened again
+      let fingerprint = JSON.stringify({ config, remote });
+      if (!remote) {
+        try {
+          const stats = await stat(location);
+          fingerprint += `|${stats.ino}-${stats.size}-${stats.mtimeMs}`;
+        } catch (error) {
+          if (error.code === 'ENOENT') continue; // removed since the directory was read
+          throw error;
+        }
+      }
+
+      const current = this.entries.get(name);
+      if (current?.fingerprint === fingerprint && !current.stale) continue;
+
+      // Open the new archive completely before swapping it in. Local files
+      // must have a readable header, so a file still being copied is not
+      // served; remote archives may be unreachable for now.
+      let archive;
+      try {
+        archive = await openTileset(name, location, config, this.fallbackEncoding, {
+          ...this.remoteOptions,
+          headers: remote?.headers,
+          onChange: () => this.remoteChanged(name, archive)
+        });
+        if (!isRemoteLocation(location)) {
+          await archive.getHeader();
+        }
+      } catch (error) {
+        await archive?.close();
+        events.push(this.record('failed', name, source, error));
+        console.error(`Error: Failed to load tileset ${name} (${source}): ${error.message}`);
+        continue;
+      }
+
+      this.entries.set(name, {
+        name,
+        archive,
+        config,
+        location,
+        source,
+        fingerprint,
+        loadedAt: new Date().toISOString(),
+        leases: 0,
+        retired: false,
+        stale: false
+      });
+      if (current) this.retire(current);
+
+      events.push(this.record(current ? 'replaced' : 'added', name, source));
+      console.log(`${current ? 'Reloaded' : 'Loaded'} tileset: ${name} (${source}, ${config.encoding}, ` +
+        `thresholds ${formatThresholds(config.thresholds)} ${config.units})`);
+    }
+
+    // Composites once their layers are settled, rebuilt when a layer changed
+    for (const [name, { layers }] of locations) {
+      if (!layers) continue;
+      const config = configs.get(name);
+      const source = layers.join(' > ');
+      const current = this.entries.get(name);
+
+      const layerEntries = layers.map(layer => this.entries.get(layer));
+      const missing = layers.find((layer, i) => !layerEntries[i]);
+      if (missing) {
+        const error = new Error(`layer "${missing}" is not loaded`);
+        if (current) {
+          this.entries.delete(name);
+          this.retire(current);
+        }
+        events.push(this.record('failed', name, source, error));
+        console.error(`Error: Failed to load tileset ${name} (${source}): ${error.message}`);
+        continue;
+      }
+
+      const fingerprint = JSON.stringify({ config, layers }) +
+        layerEntries.map(layer => `|${layer.fingerprint}`).join('');
+      const currentLayers = current?.archive.layers.every((layer, i) => layer.archive === layerEntries[i].archive);
+      if (current?.fingerprint === fingerprint && currentLayers) continue;
+
+      // The DEM encoding is each layer's own
+      config.encoding = [...new Set(layerEntries.map(layer => layer.config.encoding))].join('+');
+      config.encodingSource = 'layers';
+
+      this.entries.set(name, {
+        name,
+        layers,
+        archive: compositeArchive(layerEntries),
+        config,
+        location: null,
+        source,
+        fingerprint,
+        loadedAt: new Date().toISOString(),
+        leases: 0,
+        retired: false
+      });
+      if (current) this.retire(current);
+
+      events.push(this.record(current ? 'replaced' : 'added', name, source));
+      console.log(`${current ? 'Reloaded' : 'Loaded'} tileset: ${name} (layers ${source}, ` +
+        `thresholds ${formatThresholds(config.thresholds)} ${config.units})`);
+    }
+
+    return events;
+  }
+
+  // The file behind a remote tileset's URL was replaced: open it again, so
+  // its encoding is detected anew and its header read from the new file
+  remoteChanged(name, archive) {
+    const entry = this.entries.get(name);
+    if (!entry || entry.archive !== archive || entry.stale) return;
+
+    entry.stale = true;
+    console.log(`Remote archive of tileset ${name} changed, reloading (${entry.source})`);
+    this.scan().catch(error => {
+      console.error(`Error: Reloading ${name} failed: ${error.message}`);
+    });
+  }
+
+  // Scan again whenever an archive or configuration file of the directory
+  // changes, once it has been quiet for delay milliseconds (so files being
+  // copied in are complete)
+  watch(delay) {
+    this.watcher = watch(this.directory, (eventType, filename) => {
+      if (filename && !ARCHIVE_EXTENSIONS.includes(extname(filename).toLowerCase()) &&
+          extname(filename).toLowerCase() !== '.json') {
+        return;
+      }
+
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.scan().catch(error => {
+          console.error(`Error: Reloading ${this.directory} failed: ${error.message}`);
+        });
+      }, delay);
+    });
+
+    this.watcher.on('error', error => {
+      console.error(`Error: Watching ${this.directory} failed, tilesets are no longer reloaded: ${error.message}`);
+      this.watcher = null;
+    });
+  }
+
+  // Tilesets and recent reload events, for the admin endpoint
+  status() {
+    return {
+      watching: this.watcher !== null,
+      tilesets: [...this.entries.values()].map(({ name, source, loadedAt, leases }) => ({
+        name,
+        source,
+        loadedAt,
+        inFlight: leases
+      })),
+      events: [...this.events].reverse()
+    };
+  }
+}
@@ -0,0 +1,38 @@
+import { openArchive } from './archives.js';
+import { detectEncoding } from './encoding-detection.js';
+
+// Open a tileset's archive (see openArchive) and settle its DEM encoding: the
+// configured one, else detected from the archive, else fallbackEncoding.
+// Sets config.encoding and config.encodingSource; resolves to the archive.
+export async function openTileset(name, filePath, config, fallbackEncoding, remoteOptions = {}) {
+  const archive = openArchive(filePath, remoteOptions);
+
+  if (config.encoding) {
+    config.encodingSource = 'config';
+  } else {
+    let detected = null;
+    try {
+      detected = await detectEncoding(archive);
+    } catch (error) {
+      console.warn(`Warning: Encoding detection failed for ${name}: ${error.message}`);
+    }
+
+    config.encoding = detected ? detected.encoding : fallbackEncoding;
+    config.encodingSource = detected ? detected.method : 'default';
+  }
+  console.log(`Encoding for ${name}: ${config.encoding} (${config.encodingSource})`);
+  if (config.encodingSource === 'default') {
+    console.warn(`Warning: Could not detect the encoding of ${name}, using ENCODING=${fallbackEncoding}`);
+  }
+
+  return archive;
+}
+
+// Effective zoom range of a tileset: configured limits, else the archive's own
+// extended by the allowed overzoom levels
+export function zoomRange(config, header) {
+  return {
+    minzoom: config.minzoom ?? (header.minZoom || 0),
+    maxzoom: config.maxzoom ?? ((header.maxZoom || 14) + config.maxOverzoom)
+  };
+}
@@ -0,0 +1,160 @@
+import { Worker } from 'worker_threads';
+
+// Rejection for tasks submitted while the queue is at capacity
+export class QueueFullError extends Error {
+  constructor(maxQueue) {
+    super(`Worker queue is full (${maxQueue} tasks waiting)`);
+    this.name = 'QueueFullError';
+  }
+}
+
+// Fixed-size pool of worker threads with a bounded FIFO task queue.
+// With size 0 tasks run inline on the calling thread, which is handy for
+// debugging and for single-threaded command line use.
+export class WorkerPool {
+  constructor({ filename, tasks, size, maxQueue }) {
+    this.filename = filename;
+    this.tasks = tasks;
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.workers = [];
+    this.queue = [];
+    this.completed = 0;
+    this.failed = 0;
+    this.rejected = 0;
+    this.busyTime = 0;
+    this.startTime = Date.now();
+    this.closed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.workers.push(this.spawn());
+    }
+  }
+
+  spawn() {
+    const slot = { worker: new Worker(this.filename), task: null, busySince: 0 };
+
+    slot.worker.on('message', ({ result, error }) => {
+      if (error) {
+        const taskError = new Error(error.message);
+        taskError.stack = error.stack;
+        this.finish(slot, taskError);
+      } else {
+        this.finish(slot, null, result);
+      }
+    });
+
+    // A crashed worker fails its current task and is replaced
+    slot.worker.on('error', error => {
+      console.error('Worker thread crashed:', error);
+      this.replace(slot, error);
+    });
+    slot.worker.on('exit', code => {
+      if (!this.closed) {
+        this.replace(slot, new Error(`Worker thread exited with code ${code}`));
+      }
+    });
+
+    return slot;
+  }
+
+  replace(slot, error) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) return;
+
+    if (slot.task) {
+      this.finish(slot, error);
+    }
+    slot.worker.removeAllListeners();
+    slot.worker.terminate();
+    this.workers[index] = this.spawn();
+    this.dispatch();
+  }
+
+  // Run a task, resolving to its result. transfer lists ArrayBuffers to move
+  // into the worker instead of copying them.
+  run(type, payload, transfer = []) {
+    if (this.size === 0) {
+      return this.runInline(type, payload);
+    }
+
+    const idle = this.workers.some(slot => !slot.task);
+    if (!idle && this.queue.length >= this.maxQueue) {
+      this.rejected++;
+      return Promise.reject(new QueueFullError(this.maxQueue));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, payload, transfer, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  async runInline(type, payload) {
+    const start = Date.now();
+    try {
+      const { result } = await this.tasks[type](payload);
+      this.completed++;
+      return result;
+    } catch (error) {
+      this.failed++;
+      throw error;
+    } finally {
+      this.busyTime += Date.now() - start;
+    }
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (slot.task) continue;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.busySince = Date.now();
+      slot.worker.postMessage({ type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  finish(slot, error, result) {
+    const task = slot.task;
+    slot.task = null;
+    this.busyTime += Date.now() - slot.busySince;
+
+    if (error) {
+      this.failed++;
+      task.reject(error);
+    } else {
+      this.completed++;
+      task.resolve(result);
+    }
+
+    this.dispatch();
+  }
+
+  stats() {
+    const busy = this.workers.filter(slot => slot.task).length;
+    const elapsed = Date.now() - this.startTime;
+    const capacity = Math.max(this.size, 1) * elapsed;
+
+    return {
+      size: this.size,
+      busy,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      completed: this.completed,
+      failed: this.failed,
+      rejected: this.rejected,
+      utilization: this.size > 0 ? busy / this.size : 0,
+      averageUtilization: capacity > 0 ? Math.min(this.busyTime / capacity, 1) : 0
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('Worker pool closed'));
+    }
+    await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+  }
+}
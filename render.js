@@ -0,0 +1,349 @@
+import { stat } from 'fs/promises';
+import { cpus } from 'os';
+import { resolve, dirname, basename, extname } from 'path';
+import { parseArgs, promisify } from 'util';
+import { gzip } from 'zlib';
+import { zxyToTileId } from 'pmtiles';
+import { DemCache } from './lib/dem-cache.js';
+import { DemTiles, demSourceFor } from './lib/dem-tiles.js';
+import { WorkerPool } from './lib/worker-pool.js';
+import { tasks } from './lib/tile-tasks.js';
+import { loadTilesetConfigs, ELEVATION_UNITS, CONTOUR_AREAS } from './lib/tileset-config.js';
+import { openTileset, zoomRange } from './lib/tilesets.js';
+import { parseThresholds, formatThresholds, levelsForZoom } from './lib/thresholds.js';
+import { contourTileParams, generateContourTile, contourVectorLayers } from './lib/contour-tiles.js';
+import { projectLonLat } from './lib/geojson.js';
+import { validateLonLat } from './lib/elevation.js';
+import { PMTilesWriter, COMPRESSION, TILE_TYPE } from './lib/pmtiles-writer.js';
+
+const gzipAsync = promisify(gzip);
+
+const USAGE = `Usage: pmtiles-contour-server render <tileset.pmtiles|.mbtiles> --out <contours.pmtiles> [options]
+
+Options:
+  --bbox <west,south,east,north>  Area to render (default: the archive's bounds)
+  --minzoom <z>                   Lowest zoom level (default: the tileset's)
+  --maxzoom <z>                   Highest zoom level (default: the archive's max zoom)
+  --units <meters|feet>           Contour units (default: the tileset's)
+  --thresholds <thresholds>       Contour thresholds, e.g. 11*200*1000~14*50*200
+  --area <all|land|sea>           Contours to render (default: the tileset's contourArea)
+  --resume                        Continue an interrupted render into the same --out`;
+
+// Tileset defaults, read from the same environment variables as the server
+const ENCODING = process.env.ENCODING || 'terrarium'; // 'terrarium' or 'mapbox'
+const CONTOUR_INTERVAL = parseInt(process.env.CONTOUR_INTERVAL || '10'); // in UNITS
+const MAJOR_INTERVAL = parseInt(process.env.MAJOR_INTERVAL || '50'); // in UNITS
+const UNITS = process.env.UNITS || 'meters'; // 'meters' or 'feet'
+const SIMPLIFY_TOLERANCE = parseFloat(process.env.SIMPLIFY_TOLERANCE || '1'); // output tile pixels, 0 disables
+const SMOOTH_ITERATIONS = parseInt(process.env.SMOOTH_ITERATIONS || '0'); // Chaikin passes, 0 disables
+const MAX_OVERZOOM = parseInt(process.env.MAX_OVERZOOM || '3'); // zoom levels rendered beyond the archive's max zoom
+const OVERZOOM_RESAMPLING = process.env.OVERZOOM_RESAMPLING || 'bilinear'; // 'bilinear' or 'bicubic'
+const DEM_CACHE_SIZE = parseInt(process.env.DEM_CACHE_SIZE || '256'); // megabytes of decoded DEM tiles
+const WORKER_THREADS = parseInt(process.env.WORKER_THREADS || String(cpus().length)); // 0 runs inline
+const PROGRESS_INTERVAL = 5000; // milliseconds between progress reports
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(`\n${USAGE}`);
+  process.exit(1);
+}
+
+let options;
+let positionals;
+try {
+  ({ values: options, positionals } = parseArgs({
+    options: {
+      out: { type: 'string' },
+      bbox: { type: 'string' },
+      minzoom: { type: 'string' },
+      maxzoom: { type: 'string' },
+      units: { type: 'string' },
+      thresholds: { type: 'string' },
+      area: { type: 'string' },
+      resume: { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  }));
+} catch (error) {
+  fail(error.message);
+}
+
+if (positionals.length !== 1 || !options.out) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// The tileset's settings come from tilesets.json or a sidecar next to the
+// archive, as for the server
+const inputPath = resolve(positionals[0]);
+const outputPath = resolve(options.out);
+const tileset = basename(inputPath, extname(inputPath));
+if (outputPath === inputPath) {
+  fail('--out must not be the input archive');
+}
+try {
+  await stat(inputPath);
+} catch (error) {
+  fail(`Cannot access ${positionals[0]}: ${error.message}`);
+}
+
+let config;
+try {
+  const configs = await loadTilesetConfigs(dirname(inputPath), [tileset], {
+    contourInterval: CONTOUR_INTERVAL,
+    majorInterval: MAJOR_INTERVAL,
+    units: UNITS,
+    simplifyTolerance: SIMPLIFY_TOLERANCE,
+    smoothIterations: SMOOTH_ITERATIONS,
+    maxOverzoom: MAX_OVERZOOM,
+    resampling: OVERZOOM_RESAMPLING
+  });
+  config = configs.get(tileset);
+} catch (error) {
+  fail(`Invalid tileset configuration\n${error.message}`);
+}
+
+const archive = await openTileset(tileset, inputPath, config, ENCODING);
+const header = await archive.getHeader();
+const range = zoomRange(config, header);
+
+// Contour units, thresholds and area, as with ?units=, ?thresholds= and
+// ?area= on the server
+const units = options.units ?? config.units;
+if (!ELEVATION_UNITS.includes(units)) {
+  fail(`--units must be one of ${ELEVATION_UNITS.join(', ')}`);
+}
+let thresholds = config.thresholds;
+let bathymetryThresholds = config.bathymetryThresholds;
+if (options.thresholds !== undefined) {
+  try {
+    thresholds = bathymetryThresholds = parseThresholds(options.thresholds);
+  } catch (error) {
+    fail(error.message);
+  }
+}
+const area = options.area ?? config.contourArea;
+if (!CONTOUR_AREAS.includes(area)) {
+  fail(`--area must be one of ${CONTOUR_AREAS.join(', ')}`);
+}
+
+// Zoom range within the tileset's (overzoom included)
+const parseZoom = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const zoom = Number(value);
+  if (!Number.isInteger(zoom) || zoom < range.minzoom || zoom > range.maxzoom) {
+    fail(`--${name} must be an integer from ${range.minzoom} to ${range.maxzoom}`);
+  }
+  return zoom;
+};
+const minZoom = parseZoom(options.minzoom, 'minzoom', range.minzoom);
+const maxZoom = parseZoom(options.maxzoom, 'maxzoom', Math.min(range.maxzoom, Math.max(minZoom, header.maxZoom)));
+if (minZoom > maxZoom) {
+  fail('--minzoom must not be greater than --maxzoom');
+}
+
+// Area within the archive's bounds
+let bbox = [header.minLon, header.minLat, header.maxLon, header.maxLat];
+if (options.bbox !== undefined) {
+  const requested = options.bbox.split(',').map(Number);
+  if (requested.length !== 4 || !requested.every(Number.isFinite)) {
+    fail('--bbox must be west,south,east,north in degrees');
+  }
+  for (const [lon, lat] of [requested.slice(0, 2), requested.slice(2)]) {
+    const valid = validateLonLat(lon, lat);
+    if (valid !== true) fail(`Invalid --bbox: ${valid}`);
+  }
+  bbox = [
+    Math.max(requested[0], header.minLon),
+    Math.max(requested[1], header.minLat),
+    Math.min(requested[2], header.maxLon),
+    Math.min(requested[3], header.maxLat)
+  ];
+}
+if (bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+  fail('--bbox does not overlap the archive\'s bounds');
+}
+
+// Tile ranges of the bbox at each zoom, from its corners in tile units
+const zoomLevels = [];
+let totalTiles = 0;
+for (let z = minZoom; z <= maxZoom; z++) {
+  const n = Math.pow(2, z);
+  const [left, top] = projectLonLat([bbox[0], bbox[3]], z, 1);
+  const [right, bottom] = projectLonLat([bbox[2], bbox[1]], z, 1);
+  const minX = Math.max(0, Math.floor(left));
+  const minY = Math.max(0, Math.floor(top));
+  const maxX = Math.min(n - 1, Math.max(minX, Math.ceil(right) - 1));
+  const maxY = Math.min(n - 1, Math.max(minY, Math.ceil(bottom) - 1));
+  zoomLevels.push({ z, minX, minY, maxX, maxY });
+  totalTiles += (maxX - minX + 1) * (maxY - minY + 1);
+}
+
+// Everything that shapes the output, so a resumed render continues the same archive
+const renderParams = {
+  tileset,
+  bbox,
+  minZoom,
+  maxZoom,
+  units,
+  thresholds,
+  bathymetryThresholds,
+  area,
+  settings: {
+    encoding: config.encoding,
+    resampling: config.resampling,
+    nodata: config.nodata,
+    bathymetry: config.bathymetry,
+    simplifyTolerance: config.simplifyTolerance,
+    smoothIterations: config.smoothIterations,
+    contourBands: config.contourBands,
+    spotHeights: config.spotHeights,
+    spotHeightProminence: config.spotHeightProminence,
+    spotHeightLimit: config.spotHeightLimit,
+    contourLabels: config.contourLabels,
+    contourLabelSpacing: config.contourLabelSpacing
+  }
+};
+
+const writer = new PMTilesWriter(outputPath);
+let done;
+try {
+  done = await writer.open({ resume: options.resume, params: renderParams });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+console.log(`Rendering ${tileset} (${config.encoding}, thresholds ${formatThresholds(thresholds)} ${units})`);
+console.log(`Area: ${bbox.map(value => value.toFixed(5)).join(',')}, zoom ${minZoom}-${maxZoom}: ${totalTiles} tiles`);
+if (done > 0) {
+  console.log(`Resuming: ${done} tiles already rendered`);
+}
+
+const workerPool = new WorkerPool({
+  filename: new URL('./lib/tile-worker.js', import.meta.url),
+  tasks,
+  size: WORKER_THREADS,
+  maxQueue: Infinity
+});
+const demTiles = new DemTiles(new DemCache(DEM_CACHE_SIZE * 1024 * 1024), workerPool);
+const source = await demSourceFor(tileset, archive, config);
+
+// Tiles left to render, zoom by zoom and row by row so neighbouring DEM
+// tiles are still cached when the next row needs them
+function* pendingTiles() {
+  for (const { z, minX, minY, maxX, maxY } of zoomLevels) {
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const tileId = zxyToTileId(z, x, y);
+        if (!writer.has(tileId)) yield { z, x, y, tileId };
+      }
+    }
+  }
+}
+
+const startTime = Date.now();
+let rendered = 0;
+let empty = 0;
+let bytes = 0;
+let currentZoom = minZoom;
+
+function reportProgress() {
+  const seconds = (Date.now() - startTime) / 1000;
+  const rate = rendered / Math.max(seconds, 0.001);
+  const remaining = totalTiles - done - rendered;
+  const eta = rate > 0 ? `, ETA ${formatDuration(remaining / rate)}` : '';
+  console.log(`${done + rendered}/${totalTiles} tiles (${((done + rendered) / totalTiles * 100).toFixed(1)}%), ` +
+    `z${currentZoom}, ${rate.toFixed(1)} tiles/s, ${(bytes / 1024 / 1024 / Math.max(seconds, 0.001)).toFixed(2)} MB/s${eta}`);
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m${Math.round(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h${Math.round(seconds % 3600 / 60)}m`;
+}
+
+// Keep every worker busy: a few tiles in flight per worker thread
+const concurrency = Math.max(1, WORKER_THREADS * 2);
+const queue = pendingTiles();
+const progressTimer = setInterval(reportProgress, PROGRESS_INTERVAL);
+
+// Interrupted renders keep their partial file for --resume
+process.on('SIGINT', async () => {
+  clearInterval(progressTimer);
+  await writer.close();
+  console.log(`\nInterrupted after ${done + rendered}/${totalTiles} tiles; run again with --resume to continue`);
+  process.exit(130);
+});
+
+try {
+  await Promise.all(Array.from({ length: concurrency }, async () => {
+    for (const { z, x, y, tileId } of queue) {
+      currentZoom = z;
+      const params = contourTileParams(config, z, {
+        units,
+        levels: levelsForZoom(thresholds, z),
+        seaLevels: levelsForZoom(bathymetryThresholds, z),
+        area,
+        bands: config.contourBands,
+        spotHeights: config.spotHeights,
+        labels: config.contourLabels
+      });
+
+      // A tile missing a neighbour that failed to load would keep a seam,
+      // so the render stops and is resumed once the archive reads again
+      const tile = await generateContourTile(demTiles, workerPool, source, z, x, y, params);
+      if (tile?.partial) {
+        throw new Error(`Neighbours of tile ${z}/${x}/${y} failed to load`);
+      }
+      const data = tile && tile.buffer.length > 0 ? await gzipAsync(tile.buffer) : Buffer.alloc(0);
+      if (data.length === 0) empty++;
+      bytes += data.length;
+      rendered++;
+      await writer.addTile(tileId, data);
+    }
+  }));
+} catch (error) {
+  clearInterval(progressTimer);
+  console.error('Error rendering tiles:', error);
+  await writer.close();
+  await workerPool.close();
+  console.error(`Rendered ${done + rendered}/${totalTiles} tiles; run again with --resume to continue`);
+  process.exit(1);
+}
+clearInterval(progressTimer);
+reportProgress();
+await workerPool.close();
+
+const sourceMetadata = await archive.getMetadata();
+const result = await writer.finish({
+  tileType: TILE_TYPE.mvt,
+  tileCompression: COMPRESSION.gzip,
+  minZoom,
+  maxZoom,
+  minLon: bbox[0],
+  minLat: bbox[1],
+  maxLon: bbox[2],
+  maxLat: bbox[3],
+  centerZoom: minZoom,
+  centerLon: (bbox[0] + bbox[2]) / 2,
+  centerLat: (bbox[1] + bbox[3]) / 2
+}, {
+  name: `${sourceMetadata?.name || tileset} contours`,
+  description: 'Contour lines generated from DEM data',
+  version: '1.0.0',
+  type: 'overlay',
+  format: 'pbf',
+  attribution: sourceMetadata?.attribution || '',
+  vector_layers: contourVectorLayers(config, units, minZoom, maxZoom),
+  units,
+  thresholds,
+  bathymetry_thresholds: bathymetryThresholds,
+  contour_area: area
+});
+
+const seconds = (Date.now() - startTime) / 1000;
+console.log(`Rendered ${rendered} tiles (${empty} empty) in ${formatDuration(seconds)}, ` +
+  `${(rendered / Math.max(seconds, 0.001)).toFixed(1)} tiles/s`);
+console.log(`Wrote ${outputPath}: ${result.tiles} tiles, ${result.contents} distinct, ` +
+  `${(result.size / 1024 / 1024).toFixed(2)} MB`);
@@ -1,12 +1,26 @@
 import express from 'express';
 import cors from 'cors';
-import { PMTiles } from 'pmtiles';
-import { contours } from 'd3-contour';
 import geojsonvt from 'geojson-vt';
-import vtpbf from 'vt-pbf';
-import sharp from 'sharp';
-import { open, readdir, stat } from 'fs/promises';
-import { resolve, join, basename, extname } from 'path';
+import { stat } from 'fs/promises';
+import { cpus } from 'os';
+import { resolve } from 'path';
+import { TileCache, MemoryTileStore, DiskTileStore, tileCacheKey } from './lib/tile-cache.js';
+import { DemCache } from './lib/dem-cache.js';
+import { DemTiles, demSourceFor } from './lib/dem-tiles.js';
+import { WorkerPool, QueueFullError } from './lib/worker-pool.js';
+import { tasks } from './lib/tile-tasks.js';
+import { CONTOUR_AREAS, ELEVATION_UNITS, SOURCES_CONFIG_FILE } from './lib/tileset-config.js';
+import { zoomRange } from './lib/tilesets.js';
+import { TilesetRegistry } from './lib/tileset-registry.js';
+import { isRemoteLocation } from './lib/archives.js';
+import { BlockCache, RemoteSourceError } from './lib/http-source.js';
+import { parseThresholds, levelsForZoom, smallestInterval, valueForZoom } from './lib/thresholds.js';
+import { groundResolution, tileBounds } from './lib/contours.js';
+import { contourTileParams, generateContourTile, contourVectorLayers } from './lib/contour-tiles.js';
+import { parseHillshadeQuery } from './lib/hillshade.js';
+import { sampleElevation, validateLonLat } from './lib/elevation.js';
+import { parseProfileLine, lineLength, sampleCount, densifyLine, profileStats } from './lib/profile.js';
+import { clipLine, joinLines, projectLonLat, contourFeatureCollection } from './lib/geojson.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -24,7 +38,7 @@ try {
   const stats = await stat(pmtilesDirPath);
   if (!stats.isDirectory()) {
     console.error(`Error: ${pmtilesDir} is not a directory`);
-    console.error('Please provide a path to a directory containing .pmtiles files');
+    console.error('Please provide a path to a directory containing .pmtiles or .mbtiles files');
     process.exit(1);
   }
 } catch (error) {
@@ -34,219 +48,181 @@ try {
 }
 
 // Configuration
+// ENCODING, CONTOUR_INTERVAL, MAJOR_INTERVAL, UNITS, SIMPLIFY_TOLERANCE,
+// SMOOTH_ITERATIONS, MAX_OVERZOOM and OVERZOOM_RESAMPLING are defaults that
+// tilesets.json or a <tileset>.json sidecar can override per tileset.
+// ENCODING is only used when it cannot be detected from the archive.
 const PORT = process.env.PORT || 3000;
 const ENCODING = process.env.ENCODING || 'terrarium'; // 'terrarium' or 'mapbox'
-const CONTOUR_INTERVAL = parseInt(process.env.CONTOUR_INTERVAL || '10'); // meters
-const MAJOR_INTERVAL = parseInt(process.env.MAJOR_INTERVAL || '50'); // meters
+const CONTOUR_INTERVAL = parseInt(process.env.CONTOUR_INTERVAL || '10'); // in UNITS
+const MAJOR_INTERVAL = parseInt(process.env.MAJOR_INTERVAL || '50'); // in UNITS
+const UNITS = process.env.UNITS || 'meters'; // 'meters' or 'feet'
+const SIMPLIFY_TOLERANCE = parseFloat(process.env.SIMPLIFY_TOLERANCE || '1'); // output tile pixels, 0 disables
+const SMOOTH_ITERATIONS = parseInt(process.env.SMOOTH_ITERATIONS || '0'); // Chaikin passes, 0 disables
+const THRESHOLDS_MIN_INTERVAL = parseFloat(process.env.THRESHOLDS_MIN_INTERVAL || '1'); // smallest ?thresholds= interval, in the request's units
+const MAX_OVERZOOM = parseInt(process.env.MAX_OVERZOOM || '3'); // zoom levels served beyond the archive's max zoom
+const OVERZOOM_RESAMPLING = process.env.OVERZOOM_RESAMPLING || 'bilinear'; // 'bilinear' or 'bicubic'
+const TILE_CACHE_SIZE = parseInt(process.env.TILE_CACHE_SIZE || '128'); // megabytes, 0 disables
+const TILE_CACHE_DIR = process.env.TILE_CACHE_DIR; // optional on-disk tile cache directory
+const DEM_CACHE_SIZE = parseInt(process.env.DEM_CACHE_SIZE || '256'); // megabytes of decoded DEM tiles
+const WORKER_THREADS = parseInt(process.env.WORKER_THREADS || String(cpus().length)); // 0 runs inline
+const WORKER_QUEUE_SIZE = parseInt(process.env.WORKER_QUEUE_SIZE || '1024'); // max tasks waiting
+const ELEVATION_BATCH_LIMIT = parseInt(process.env.ELEVATION_BATCH_LIMIT || '1000'); // max points per batch request
+const PROFILE_SPACING = parseFloat(process.env.PROFILE_SPACING || '30'); // default meters between profile samples
+const PROFILE_MIN_SPACING = parseFloat(process.env.PROFILE_MIN_SPACING || '1'); // min meters between profile samples
+const PROFILE_MAX_VERTICES = parseInt(process.env.PROFILE_MAX_VERTICES || '10000'); // max vertices of a profile line
+const PROFILE_MAX_LENGTH = parseFloat(process.env.PROFILE_MAX_LENGTH || '500'); // max profile line length in kilometers
+const PROFILE_MAX_SAMPLES = parseInt(process.env.PROFILE_MAX_SAMPLES || '20000'); // max sampled points per profile
+const GEOJSON_MAX_TILES = parseInt(process.env.GEOJSON_MAX_TILES || '64'); // max tiles merged per GeoJSON area request
+const GEOJSON_MAX_VERTICES = parseInt(process.env.GEOJSON_MAX_VERTICES || '500000'); // max vertices of a GeoJSON area response
+const REMOTE_RETRIES = parseInt(process.env.REMOTE_RETRIES || '3'); // retries of a failed range request to a remote archive
+const REMOTE_TIMEOUT = parseInt(process.env.REMOTE_TIMEOUT || '30000'); // milliseconds per range request
+const REMOTE_BLOCK_CACHE_SIZE = parseInt(process.env.REMOTE_BLOCK_CACHE_SIZE || '64'); // megabytes of remote header/directory ranges
+const REMOTE_CACHE_DIR = process.env.REMOTE_CACHE_DIR; // optional on-disk cache of remote header/directory ranges
+const WATCH_DIRECTORY = process.env.WATCH_DIRECTORY !== 'false'; // reload tilesets when the directory changes
+const RELOAD_DELAY = parseInt(process.env.RELOAD_DELAY || '1000'); // milliseconds the directory must be quiet before reloading
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN; // bearer token required by /admin endpoints, disabled without it
 
 // Note: Tile dimensions are read from the actual DEM image (imageData.width/height)
 // Common sizes are 256x256 or 512x512 pixels
 
-// Load all PMTiles files from a directory
-async function loadPMTiles(directory) {
-  const files = await readdir(directory);
-  const pmtilesFiles = files.filter(file => extname(file).toLowerCase() === '.pmtiles');
-
-  if (pmtilesFiles.length === 0) {
-    console.error(`Error: No .pmtiles files found in ${directory}`);
-    console.error('Please ensure the directory contains at least one .pmtiles file');
-    process.exit(1);
-  }
-
-  const tilesets = new Map();
-
-  for (const file of pmtilesFiles) {
-    const filePath = join(directory, file);
-    const tilesetName = basename(file, '.pmtiles');
-    const fileSource = new FileSource(filePath);
-    const pmtiles = new PMTiles(fileSource);
+// Ranges of remote archives' headers and directories, shared by all remote tilesets
+const blockCache = new BlockCache({
+  maxBytes: REMOTE_BLOCK_CACHE_SIZE * 1024 * 1024,
+  directory: REMOTE_CACHE_DIR ? resolve(REMOTE_CACHE_DIR) : null
+});
 
-    tilesets.set(tilesetName, pmtiles);
-    console.log(`Loaded tileset: ${tilesetName} (${file})`);
-  }
+// Load all PMTiles and MBTiles files from the directory, and the remote
+// archives listed in its sources.json. Per-tileset settings take the
+// environment variables as defaults; the encoding has no default here so it
+// can be detected when not configured.
+const tilesets = new TilesetRegistry(pmtilesDirPath, {
+  defaults: {
+    contourInterval: CONTOUR_INTERVAL,
+    majorInterval: MAJOR_INTERVAL,
+    units: UNITS,
+    simplifyTolerance: SIMPLIFY_TOLERANCE,
+    smoothIterations: SMOOTH_ITERATIONS,
+    maxOverzoom: MAX_OVERZOOM,
+    resampling: OVERZOOM_RESAMPLING
+  },
+  fallbackEncoding: ENCODING,
+  remoteOptions: { retries: REMOTE_RETRIES, timeout: REMOTE_TIMEOUT, blockCache }
+});
 
-  return tilesets;
+try {
+  await tilesets.scan();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
 }
 
-// Custom FileSource for reading local PMTiles files
-class FileSource {
-  constructor(path) {
-    this.path = resolve(path);
-    this.fileHandle = null;
-  }
-
-  async getKey() {
-    return this.path;
-  }
-
-  async getBytes(offset, length) {
-    if (!this.fileHandle) {
-      this.fileHandle = await open(this.path, 'r');
-    }
-
-    const buffer = Buffer.allocUnsafe(length);
-    await this.fileHandle.read(buffer, 0, length, offset);
-
-    // Convert Buffer to ArrayBuffer for PMTiles
-    const arrayBuffer = buffer.buffer.slice(
-      buffer.byteOffset,
-      buffer.byteOffset + buffer.byteLength
-    );
-
-    return {
-      data: arrayBuffer,
-      etag: undefined,
-      cacheControl: undefined,
-      expires: undefined
-    };
-  }
+if (tilesets.size === 0) {
+  console.error(`Error: No .pmtiles or .mbtiles files found in ${pmtilesDirPath}`);
+  console.error(`Please ensure the directory contains at least one .pmtiles or .mbtiles file, or list remote archives in ${SOURCES_CONFIG_FILE}`);
+  process.exit(1);
 }
 
-// Load all PMTiles files from the directory
-const tilesets = await loadPMTiles(pmtilesDirPath);
-
-// Decode image from tile buffer (supports PNG, WebP, JPEG)
-async function decodeImage(buffer) {
-  const { data, info } = await sharp(buffer)
-    .ensureAlpha()
-    .raw()
-    .toBuffer({ resolveWithObject: true });
-
-  return {
-    data: new Uint8ClampedArray(data),
-    width: info.width,
-    height: info.height
-  };
+// Pick up archives added, replaced or removed while running
+if (WATCH_DIRECTORY) {
+  tilesets.watch(RELOAD_DELAY);
 }
 
-// Decode elevation from RGB values
-function decodeElevation(r, g, b, encoding) {
-  if (encoding === 'terrarium') {
-    return r * 256 + g + b / 256 - 32768;
-  } else if (encoding === 'mapbox') {
-    return -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
-  }
-  throw new Error(`Unknown encoding: ${encoding}`);
+// Cache for generated contour tiles: memory first, then the optional disk directory
+const tileCacheStores = [];
+if (TILE_CACHE_SIZE > 0) {
+  tileCacheStores.push(new MemoryTileStore(TILE_CACHE_SIZE * 1024 * 1024));
 }
+if (TILE_CACHE_DIR) {
+  tileCacheStores.push(new DiskTileStore(resolve(TILE_CACHE_DIR)));
+}
+const tileCache = new TileCache(tileCacheStores);
+
+// Decoded DEM tiles shared between neighbouring tile requests
+const demCache = new DemCache(DEM_CACHE_SIZE * 1024 * 1024);
+
+// Worker threads for DEM decoding, contour generation and MVT encoding,
+// keeping CPU-bound work off the HTTP event loop
+const workerPool = new WorkerPool({
+  filename: new URL('./lib/tile-worker.js', import.meta.url),
+  tasks,
+  size: WORKER_THREADS,
+  maxQueue: WORKER_QUEUE_SIZE
+});
 
-// Generate contours from elevation data
-function generateContours(imageData, width, height, encoding, minInterval, majorInterval) {
-  const elevations = new Float64Array(width * height);
-
-  let minEle = Infinity;
-  let maxEle = -Infinity;
-
-  for (let i = 0; i < width * height; i++) {
-    const pixelIndex = i * 4;
-    const r = imageData[pixelIndex];
-    const g = imageData[pixelIndex + 1];
-    const b = imageData[pixelIndex + 2];
-
-    const elevation = decodeElevation(r, g, b, encoding);
-    elevations[i] = elevation;
+// Decoded DEM tiles of the tilesets, through the DEM cache and the worker pool
+const demTiles = new DemTiles(demCache, workerPool);
 
-    if (elevation < minEle) minEle = elevation;
-    if (elevation > maxEle) maxEle = elevation;
+// Elevation units of a contour request: the tileset's, or ?units=meters|feet.
+// Throws on anything else.
+function requestUnits(query, config) {
+  if (query.units === undefined) return config.units;
+  if (!ELEVATION_UNITS.includes(query.units)) {
+    throw new Error(`Invalid units parameter: must be one of ${ELEVATION_UNITS.join(', ')}`);
   }
+  return query.units;
+}
 
-  console.log(`Tile elevation range: ${minEle.toFixed(1)}m - ${maxEle.toFixed(1)}m`);
-
-  // Generate threshold values
-  const thresholds = [];
-  const minorStart = Math.ceil(minEle / minInterval) * minInterval;
-  const majorStart = Math.ceil(minEle / majorInterval) * majorInterval;
-
-  for (let ele = minorStart; ele <= maxEle; ele += minInterval) {
-    thresholds.push(ele);
+// Contour units, intervals (above and below sea level) and area of a request
+// at zoom z: the tileset's, or ?units=, ?thresholds= in maplibre-contour form
+// (e.g. 11*200*1000~14*50*200, then used below sea level too) and
+// ?area=all|land|sea. Throws on invalid values.
+function contourOptions(query, config, z) {
+  const units = requestUnits(query, config);
+
+  let levels = levelsForZoom(config.thresholds, z);
+  let seaLevels = levelsForZoom(config.bathymetryThresholds, z);
+  if (query.thresholds !== undefined) {
+    // Small intervals multiply the contours of a tile, and the work with them
+    const thresholds = parseThresholds(String(query.thresholds));
+    if (smallestInterval(thresholds) < THRESHOLDS_MIN_INTERVAL) {
+      throw new Error(`Invalid thresholds parameter: intervals must be at least ${THRESHOLDS_MIN_INTERVAL} ${units}`);
+    }
+    levels = seaLevels = levelsForZoom(thresholds, z);
   }
 
-  // Generate contours
-  const contourGenerator = contours()
-    .size([width, height])
-    .thresholds(thresholds);
-
-  const contourFeatures = contourGenerator(elevations);
-
-  console.log(`Generated ${contourFeatures.length} contour features`);
+  const area = query.area ?? config.contourArea;
+  if (!CONTOUR_AREAS.includes(area)) {
+    throw new Error(`Invalid area parameter: must be one of ${CONTOUR_AREAS.join(', ')}`);
+  }
 
-  return contourFeatures.map(feature => ({
-    ...feature,
-    isMajor: Math.abs(feature.value % majorInterval) < 0.01
-  }));
+  return { units, levels, seaLevels, area };
 }
 
-// Calculate tile bounds in geographic coordinates
-function tileBounds(z, x, y) {
-  const n = Math.pow(2, z);
-  const lon1 = (x / n) * 360 - 180;
-  const lon2 = ((x + 1) / n) * 360 - 180;
-  const lat1 = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
-  const lat2 = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n))) * 180 / Math.PI;
-  return { west: lon1, south: lat2, east: lon2, north: lat1 };
+// Contour settings reported in the catalog and TileJSON
+function contourSettings(config) {
+  return {
+    encoding: config.encoding,
+    encoding_source: config.encodingSource,
+    units: config.units,
+    thresholds: config.thresholds,
+    bathymetry_thresholds: config.bathymetryThresholds,
+    bathymetry: config.bathymetry,
+    contour_area: config.contourArea,
+    simplify_tolerance: config.simplifyTolerance,
+    smooth_iterations: config.smoothIterations,
+    contour_bands: config.contourBands,
+    spot_heights: config.spotHeights,
+    spot_height_prominence: config.spotHeightProminence,
+    spot_height_limit: config.spotHeightLimit,
+    contour_labels: config.contourLabels,
+    contour_label_spacing: config.contourLabelSpacing,
+    max_overzoom: config.maxOverzoom,
+    resampling: config.resampling,
+    nodata: config.nodata
+  };
 }
 
-// Encode contours to MVT
-function encodeMVT(contourFeatures, width, height, z, x, y) {
-  const extent = 4096;
-  const features = [];
-
-  for (const contour of contourFeatures) {
-    if (!contour.coordinates || contour.coordinates.length === 0) continue;
-
-    const ele = Math.round(contour.value);
-    const level = contour.isMajor ? 1 : 0;
-
-    // d3-contour returns MultiPolygon, so coordinates is array of polygons
-    // Each polygon is an array of rings, each ring is an array of [x, y] points
-    for (const polygon of contour.coordinates) {
-      for (const ring of polygon) {
-        const geometry = [];
-        for (const [px, py] of ring) {
-          const tileX = Math.round((px / width) * extent);
-          const tileY = Math.round((py / height) * extent);
-          geometry.push([tileX, tileY]);
-        }
-
-        if (geometry.length > 1) {
-          features.push({
-            geometry: [geometry],
-            type: 2, // LineString in geojson-vt format
-            tags: { ele, level }
-          });
-        }
-      }
-    }
-  }
-
-  console.log(`Encoding ${features.length} LineString features to MVT`);
-
-  // Build tile in geojson-vt format manually
-  const tile = {
-    features,
-    numPoints: features.reduce((sum, f) => sum + f.geometry[0].length, 0),
-    numSimplified: 0,
-    numFeatures: features.length,
-    source: null,
-    x,
-    y,
-    z,
-    transformed: false,
-    minX: 0,
-    minY: 0,
-    maxX: extent,
-    maxY: extent
+// Hillshade settings reported in the catalog and hillshade TileJSON
+function hillshadeSettings(options) {
+  return {
+    azimuth: options.azimuth,
+    altitude: options.altitude,
+    z_factor: options.zFactor,
+    multidirectional: options.multidirectional,
+    shadow_color: options.shadowColor,
+    highlight_color: options.highlightColor
   };
-
-  // Encode to MVT protobuf
-  const buffer = vtpbf.fromGeojsonVt({ contours: tile }, { version: 2 });
-  console.log(`MVT buffer: ${buffer.length} bytes, type: ${typeof buffer}, isBuffer: ${Buffer.isBuffer(buffer)}`);
-
-  if (!Buffer.isBuffer(buffer)) {
-    console.log('WARNING: vt-pbf returned non-buffer:', buffer.constructor.name);
-    return Buffer.from(buffer);
-  }
-
-  return buffer;
 }
 
 // Initialize Express
@@ -255,179 +231,68 @@ const app = express();
 // Enable CORS for all routes
 app.use(cors());
 
-// Fetch tile with neighbors for buffered contour generation
-async function fetchTileWithBuffer(pmtiles, z, x, y) {
-  const tiles = [];
-  const positions = [];
-
-  // Fetch 3x3 grid of tiles (center + 8 neighbors)
-  for (let dy = -1; dy <= 1; dy++) {
-    for (let dx = -1; dx <= 1; dx++) {
-      const tileX = x + dx;
-      const tileY = y + dy;
-
-      try {
-        const tileResult = await pmtiles.getZxy(z, tileX, tileY);
-        if (tileResult) {
-          const imageBuffer = Buffer.from(tileResult.data);
-          const { data, width, height } = await decodeImage(imageBuffer);
-          tiles.push({ data, width, height, x: dx, y: dy });
-          positions.push({ x: dx, y: dy });
-        } else {
-          tiles.push(null);
-          positions.push({ x: dx, y: dy });
-        }
-      } catch (error) {
-        tiles.push(null);
-        positions.push({ x: dx, y: dy });
-      }
+// Elevation at a point in meters, from the highest zoom with a DEM tile there.
+// Resolves to null when no zoom has data at the point.
+async function elevationAt(source, lon, lat) {
+  for (let z = source.maxZoom; z >= source.minZoom; z--) {
+    const sample = await sampleElevation(lon, lat, z, (x, y) => demTiles.fetchTile(source, z, x, y));
+    if (sample) {
+      return {
+        lat,
+        lon,
+        elevation: Math.round(sample.elevation * 100) / 100,
+        zoom: z,
+        resolution: Math.round(groundResolution(lat, z, sample.tileSize) * 100) / 100
+      };
     }
   }
 
-  return { tiles, positions };
+  return null;
 }
 
-// Stitch tiles into a larger image with optional buffer-only extraction
-function stitchTiles(tiles, positions, bufferPixels = 1) {
-  // Find a valid tile to get dimensions
-  const validTile = tiles.find(t => t !== null);
-  if (!validTile) return null;
-
-  const tileWidth = validTile.width;
-  const tileHeight = validTile.height;
-
-  // Extract only center tile + buffer (like maplibre-contour does)
-  // This gives us: [tileWidth - buffer] to [tileWidth + tileWidth + buffer]
-  const extractWidth = tileWidth + bufferPixels * 2;
-  const extractHeight = tileHeight + bufferPixels * 2;
-  const extractData = new Uint8ClampedArray(extractWidth * extractHeight * 4);
-
-  // Fill with neutral elevation
-  for (let i = 0; i < extractData.length; i += 4) {
-    extractData[i] = 128;     // R
-    extractData[i + 1] = 128; // G
-    extractData[i + 2] = 128; // B
-    extractData[i + 3] = 255; // A
-  }
-
-  // Copy data from the 9 tiles, but only extract center tile + buffer region
-  const stitchedWidth = tileWidth * 3;
-  const centerOffsetX = tileWidth;  // Center tile starts at x=512 in 1536 grid
-  const centerOffsetY = tileHeight;
-
-  // Source region in stitched coordinates
-  const srcMinX = centerOffsetX - bufferPixels;
-  const srcMaxX = centerOffsetX + tileWidth + bufferPixels;
-  const srcMinY = centerOffsetY - bufferPixels;
-  const srcMaxY = centerOffsetY + tileHeight + bufferPixels;
-
-  // First, stitch into temporary buffer
-  const stitchedData = new Uint8ClampedArray(stitchedWidth * stitchedWidth * 4);
-  for (let i = 0; i < stitchedData.length; i += 4) {
-    stitchedData[i] = 128;
-    stitchedData[i + 1] = 128;
-    stitchedData[i + 2] = 128;
-    stitchedData[i + 3] = 255;
-  }
-
-  for (let i = 0; i < tiles.length; i++) {
-    const tile = tiles[i];
-    if (!tile) continue;
-
-    const pos = positions[i];
-    const offsetX = (pos.x + 1) * tileWidth;
-    const offsetY = (pos.y + 1) * tileHeight;
-
-    for (let py = 0; py < tile.height; py++) {
-      for (let px = 0; px < tile.width; px++) {
-        const srcIdx = (py * tile.width + px) * 4;
-        const dstX = offsetX + px;
-        const dstY = offsetY + py;
-        const dstIdx = (dstY * stitchedWidth + dstX) * 4;
-
-        stitchedData[dstIdx] = tile.data[srcIdx];
-        stitchedData[dstIdx + 1] = tile.data[srcIdx + 1];
-        stitchedData[dstIdx + 2] = tile.data[srcIdx + 2];
-        stitchedData[dstIdx + 3] = tile.data[srcIdx + 3];
-      }
+// Parse a JSON request body of at most limit. Malformed and oversized bodies
+// get a JSON error like the endpoints' other errors.
+function jsonBody(limit) {
+  const parse = express.json({ limit });
+  return (req, res, next) => parse(req, res, error => {
+    if (!error) return next();
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Request body too large (limit ${limit})` });
     }
-  }
-
-  // Extract only the center tile + buffer region
-  for (let y = 0; y < extractHeight; y++) {
-    for (let x = 0; x < extractWidth; x++) {
-      const srcX = srcMinX + x;
-      const srcY = srcMinY + y;
-      const srcIdx = (srcY * stitchedWidth + srcX) * 4;
-      const dstIdx = (y * extractWidth + x) * 4;
-
-      extractData[dstIdx] = stitchedData[srcIdx];
-      extractData[dstIdx + 1] = stitchedData[srcIdx + 1];
-      extractData[dstIdx + 2] = stitchedData[srcIdx + 2];
-      extractData[dstIdx + 3] = stitchedData[srcIdx + 3];
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON' });
     }
-  }
-
-  return {
-    data: extractData,
-    width: extractWidth,
-    height: extractHeight,
-    tileWidth,
-    tileHeight,
-    buffer: bufferPixels
-  };
+    res.status(error.status || 400).json({ error: error.message });
+  });
 }
 
-// Clip contours generated on buffered tile to output tile bounds
-function clipContoursToTile(contourFeatures, tileWidth, tileHeight, buffer) {
-  // Contours are generated on image of size (tileWidth + 2*buffer)
-  // We need to translate them so buffer region maps outside [0, tileWidth]
-  // Points at buffer position should map to 0, points at (tileWidth+buffer) should map to tileWidth
-
-  const clippedFeatures = [];
-
-  for (const feature of contourFeatures) {
-    if (!feature.coordinates || feature.coordinates.length === 0) continue;
-
-    const clippedCoordinates = [];
-
-    for (const polygon of feature.coordinates) {
-      const clippedPolygon = [];
-
-      for (const ring of polygon) {
-        const clippedRing = [];
-
-        for (const [x, y] of ring) {
-          // Translate coordinates: buffer pixels should become 0
-          const tx = x - buffer;
-          const ty = y - buffer;
-
-          // Keep all points (including those in buffer zone that extend beyond tile)
-          // MVT encoding will handle values outside [0, tileWidth] naturally
-          clippedRing.push([tx, ty]);
-        }
-
-        // Keep rings with enough points
-        if (clippedRing.length > 1) {
-          clippedPolygon.push(clippedRing);
-        }
-      }
+// Admin endpoints need ADMIN_TOKEN as a bearer token, and are disabled
+// when it is not set
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled, set ADMIN_TOKEN to enable them' });
+  }
+  if (req.get('Authorization') !== `Bearer ${ADMIN_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
 
-      if (clippedPolygon.length > 0) {
-        clippedCoordinates.push(clippedPolygon);
-      }
-    }
+// Tilesets being served and recent reload events
+app.get('/admin/reloads', requireAdmin, (req, res) => {
+  res.json(tilesets.status());
+});
 
-    if (clippedCoordinates.length > 0) {
-      clippedFeatures.push({
-        ...feature,
-        coordinates: clippedCoordinates
-      });
-    }
+// Scan the directory now, e.g. where file system events are not delivered
+app.post('/admin/reload', requireAdmin, async (req, res) => {
+  try {
+    const events = await tilesets.scan();
+    res.json({ events, tilesets: Array.from(tilesets.keys()) });
+  } catch (error) {
+    console.error('Error reloading tilesets:', error);
+    res.status(500).json({ error: error.message });
   }
-
-  return clippedFeatures;
-}
+});
 
 // Catalog endpoint - list all available tilesets
 app.get('/', async (req, res) => {
@@ -438,10 +303,16 @@ app.get('/', async (req, res) => {
 
     const catalog = [];
 
-    for (const [name, pmtiles] of tilesets) {
+    for (const name of [...tilesets.keys()]) {
+      // Skip tilesets (or composites' layers) removed since listing the names
+      const entry = tilesets.acquire(name, res);
+      if (!entry) continue;
+
+      const { archive, config } = entry;
       try {
-        const header = await pmtiles.getHeader();
-        const metadata = await pmtiles.getMetadata();
+        const header = await archive.getHeader();
+        const metadata = await archive.getMetadata();
+        const { minzoom, maxzoom } = zoomRange(config, header);
 
         catalog.push({
           name,
@@ -453,9 +324,23 @@ app.get('/', async (req, res) => {
             header.maxLon || 180,
             header.maxLat || 85.0511
           ],
-          minzoom: header.minZoom || 0,
-          maxzoom: header.maxZoom || 14,
-          description: metadata?.description || 'Contour lines generated from DEM data'
+          minzoom,
+          maxzoom,
+          description: metadata?.description || 'Contour lines generated from DEM data',
+          ...contourSettings(config),
+          hillshade: {
+            tilejson: `${baseUrl}/${name}/hillshade.json`,
+            tiles: `${baseUrl}/${name}/{z}/{x}/{y}.png`,
+            ...hillshadeSettings(config.hillshade)
+          },
+          slope: {
+            tiles: `${baseUrl}/${name}/slope/{z}/{x}/{y}.png`,
+            ramp: config.slopeRamp
+          },
+          aspect: {
+            tiles: `${baseUrl}/${name}/aspect/{z}/{x}/{y}.png`,
+            ramp: config.aspectRamp
+          }
         });
       } catch (error) {
         console.error(`Error reading metadata for ${name}:`, error);
@@ -469,7 +354,7 @@ app.get('/', async (req, res) => {
 
     res.json({
       tilesets: catalog,
-      count: tilesets.size
+      count: catalog.length
     });
   } catch (error) {
     console.error('Error generating catalog:', error);
@@ -485,49 +370,100 @@ app.get('/:tileset/:z/:x/:y.mvt', async (req, res) => {
     const x = parseInt(req.params.x);
     const y = parseInt(req.params.y);
 
-    // Lookup PMTiles instance
-    const pmtiles = tilesets.get(tileset);
-    if (!pmtiles) {
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
       return res.status(404).json({
         error: 'Tileset not found',
         tileset,
         available: Array.from(tilesets.keys())
       });
     }
+    const { archive, config } = entry;
 
-    console.log(`Requesting tile: ${tileset}/${z}/${x}/${y}`);
+    // Respect the tileset's zoom range, including overzoom levels
+    const { minzoom, maxzoom } = zoomRange(config, await archive.getHeader());
+    if (z < minzoom || z > maxzoom) {
+      return res.status(404).send('Tile not found');
+    }
 
-    // Fetch tile with neighbors
-    const { tiles, positions } = await fetchTileWithBuffer(pmtiles, z, x, y);
+    // Contour intervals for this zoom in the requested units
+    let units, levels, seaLevels, area;
+    try {
+      ({ units, levels, seaLevels, area } = contourOptions(req.query, config, z));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Stitch tiles together with buffer (like maplibre-contour buffer=1)
-    const bufferPixels = 1;
-    const stitched = stitchTiles(tiles, positions, bufferPixels);
+    // Elevation bands, switchable per request with ?bands=true|false
+    let bands = config.contourBands;
+    if (req.query.bands !== undefined) {
+      if (req.query.bands !== 'true' && req.query.bands !== 'false') {
+        return res.status(400).json({ error: 'Invalid bands parameter: must be true or false' });
+      }
+      bands = req.query.bands === 'true';
+    }
 
-    if (!stitched) {
-      return res.status(404).send('Tile not found');
+    // Spot heights, switchable per request with ?spotHeights=true|false
+    let spotHeights = config.spotHeights;
+    if (req.query.spotHeights !== undefined) {
+      if (req.query.spotHeights !== 'true' && req.query.spotHeights !== 'false') {
+        return res.status(400).json({ error: 'Invalid spotHeights parameter: must be true or false' });
+      }
+      spotHeights = req.query.spotHeights === 'true';
     }
 
-    // Generate contours on the buffered tile (tileWidth + 2*buffer pixels)
-    const contourFeatures = generateContours(
-      stitched.data,
-      stitched.width,
-      stitched.height,
-      ENCODING,
-      CONTOUR_INTERVAL,
-      MAJOR_INTERVAL
-    );
+    // Contour label anchors, switchable per request with ?labels=true|false
+    let labels = config.contourLabels;
+    if (req.query.labels !== undefined) {
+      if (req.query.labels !== 'true' && req.query.labels !== 'false') {
+        return res.status(400).json({ error: 'Invalid labels parameter: must be true or false' });
+      }
+      labels = req.query.labels === 'true';
+    }
+    const params = contourTileParams(config, z, { units, levels, seaLevels, area, bands, spotHeights, labels });
+
+    console.log(`Requesting tile: ${tileset}/${z}/${x}/${y}`);
+
+    const source = await demSourceFor(tileset, archive, config);
 
-    // Clip/translate contours to tile coordinates
-    const clippedFeatures = clipContoursToTile(
-      contourFeatures,
-      stitched.tileWidth,
-      stitched.tileHeight,
-      stitched.buffer
-    );
+    // Serve from the tile cache when this tile was already generated. Requests
+    // still reading an archive that has been reloaded since bypass the cache.
+    let cacheKey = null;
+    if (tileCache.enabled && tilesets.isCurrent(tileset, archive)) {
+      await tileCache.setVersion(tileset, source.version);
 
-    // Encode to MVT using the original tile dimensions
-    const mvtBuffer = encodeMVT(clippedFeatures, stitched.tileWidth, stitched.tileHeight, z, x, y);
+      cacheKey = tileCacheKey(tileset, source.version, z, x, y, {
+        encoding: config.encoding,
+        resampling: config.resampling,
+        ...params
+      });
+
+      const cached = await tileCache.get(cacheKey);
+      if (cached) {
+        res.set('X-Cache', 'HIT');
+        if (cached.length === 0) {
+          return res.status(204).send();
+        }
+        res.set('Content-Type', 'application/x-protobuf');
+        return res.send(cached);
+      }
+      res.set('X-Cache', 'MISS');
+    }
+
+    // Stitch, generate contours and encode in a worker thread
+    const tile = await generateContourTile(demTiles, workerPool, source, z, x, y, params);
+    if (!tile) {
+      return res.status(404).send('Tile not found');
+    }
+    const mvtBuffer = tile.buffer;
+
+    // Store without delaying the response, unless the archive was reloaded
+    // meanwhile or a neighbour tile failed to load; store errors are logged
+    // by the cache
+    if (cacheKey && !tile.partial && tilesets.isCurrent(tileset, archive)) {
+      tileCache.set(cacheKey, mvtBuffer);
+    }
 
     if (mvtBuffer.length === 0) {
       return res.status(204).send(); // No content
@@ -539,28 +475,665 @@ app.get('/:tileset/:z/:x/:y.mvt', async (req, res) => {
     res.send(mvtBuffer);
 
   } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting tile request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).send('Server busy');
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).send('Remote archive unavailable');
+    }
     console.error('Error processing tile:', error);
     res.status(500).send('Internal server error');
   }
 });
 
+// Contours of one tile cut to its edges, in tile pixels (see the contourLines task),
+// with partial set when a neighbour tile failed to load (see fetchTileWithBuffer).
+// Resolves to null when the tile does not exist.
+async function contourLinesFor(source, config, z, x, y, { units, levels, seaLevels, area, simplifyTolerance }) {
+  const { tiles, positions, partial } = await demTiles.fetchTileWithBuffer(source, z, x, y);
+  const result = await workerPool.run('contourLines', {
+    tiles,
+    positions,
+    bufferPixels: 1,
+    z,
+    x,
+    y,
+    levels,
+    seaLevels,
+    area,
+    units,
+    simplifyTolerance,
+    smoothIterations: config.smoothIterations
+  });
+  return result && { ...result, partial };
+}
+
+// GeoJSON contour tile handler: the contours of an MVT tile in WGS84 longitude/latitude
+app.get('/:tileset/:z/:x/:y.geojson', async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+    const z = parseInt(req.params.z);
+    const x = parseInt(req.params.x);
+    const y = parseInt(req.params.y);
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    // Respect the tileset's zoom range, including overzoom levels
+    const { minzoom, maxzoom } = zoomRange(config, await archive.getHeader());
+    if (z < minzoom || z > maxzoom) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+
+    let options;
+    try {
+      options = contourOptions(req.query, config, z);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    options.simplifyTolerance = valueForZoom(config.simplifyTolerance, z, 0);
+
+    const source = await demSourceFor(tileset, archive, config);
+
+    // Serve from the tile cache when this tile was already generated. Requests
+    // still reading an archive that has been reloaded since bypass the cache.
+    let cacheKey = null;
+    if (tileCache.enabled && tilesets.isCurrent(tileset, archive)) {
+      await tileCache.setVersion(tileset, source.version);
+
+      cacheKey = tileCacheKey(tileset, source.version, z, x, y, {
+        encoding: config.encoding,
+        resampling: config.resampling,
+        ...options,
+        smoothIterations: config.smoothIterations,
+        bathymetry: config.bathymetry
+      }, 'geojson');
+
+      const cached = await tileCache.get(cacheKey);
+      if (cached) {
+        res.set('X-Cache', 'HIT');
+        res.set('Content-Type', 'application/geo+json');
+        return res.send(cached);
+      }
+      res.set('X-Cache', 'MISS');
+    }
+
+    const result = await contourLinesFor(source, config, z, x, y, options);
+    if (!result) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+
+    // Tile pixels to world pixels, then to longitude/latitude
+    const { tileWidth } = result;
+    const contours = result.features.map(({ value, level, coordinates }) => ({
+      value,
+      level,
+      lines: coordinates.map(line => line.map(([px, py]) => [x * tileWidth + px, y * tileWidth + py]))
+    }));
+    const { west, south, east, north } = tileBounds(z, x, y);
+    const geojson = Buffer.from(JSON.stringify(
+      contourFeatureCollection(contours, z, tileWidth, options.units, [west, south, east, north], config.bathymetry)
+    ));
+
+    // Store without delaying the response, unless the archive was reloaded
+    // meanwhile or a neighbour tile failed to load; store errors are logged
+    // by the cache
+    if (cacheKey && !result.partial && tilesets.isCurrent(tileset, archive)) {
+      tileCache.set(cacheKey, geojson);
+    }
+
+    res.set('Content-Type', 'application/geo+json');
+    res.send(geojson);
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting tile request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Server busy' });
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).json({ error: 'Remote archive unavailable' });
+    }
+    console.error('Error processing GeoJSON tile:', error);
+    res.status(500).json({ error: 'Failed to generate contours' });
+  }
+});
+
+// GeoJSON contours of an area: GET /:tileset/contours.geojson?bbox=west,south,east,north&zoom=
+// Contours of every tile at the zoom level are joined across tile seams and cut to the bbox.
+app.get('/:tileset/contours.geojson', async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    const bbox = String(req.query.bbox ?? '').split(',').map(Number);
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+      return res.status(400).json({ error: 'Invalid bbox: must be west,south,east,north in degrees' });
+    }
+    const [west, south, east, north] = bbox;
+    for (const [lon, lat] of [[west, south], [east, north]]) {
+      const valid = validateLonLat(lon, lat);
+      if (valid !== true) {
+        return res.status(400).json({ error: `Invalid bbox: ${valid}` });
+      }
+    }
+    if (west >= east || south >= north) {
+      return res.status(400).json({ error: 'Invalid bbox: west must be less than east and south less than north' });
+    }
+
+    const { minzoom, maxzoom } = zoomRange(config, await archive.getHeader());
+    const z = Number(req.query.zoom);
+    if (!Number.isInteger(z) || z < minzoom || z > maxzoom) {
+      return res.status(400).json({ error: `Invalid zoom: must be an integer from ${minzoom} to ${maxzoom}` });
+    }
+
+    let options;
+    try {
+      options = contourOptions(req.query, config, z);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    options.simplifyTolerance = valueForZoom(config.simplifyTolerance, z, 0);
+
+    // Tiles covering the bbox, from its corners in tile units
+    const [left, top] = projectLonLat([west, north], z, 1);
+    const [right, bottom] = projectLonLat([east, south], z, 1);
+    const minX = Math.floor(left);
+    const minY = Math.floor(top);
+    const maxX = Math.max(minX, Math.ceil(right) - 1);
+    const maxY = Math.max(minY, Math.ceil(bottom) - 1);
+    const tileCount = (maxX - minX + 1) * (maxY - minY + 1);
+    if (tileCount > GEOJSON_MAX_TILES) {
+      return res.status(400).json({
+        error: `Area covers ${tileCount} tiles at zoom ${z} (limit ${GEOJSON_MAX_TILES}); use a smaller bbox or a lower zoom`
+      });
+    }
+
+    const source = await demSourceFor(tileset, archive, config);
+
+    const coords = [];
+    for (let ty = minY; ty <= maxY; ty++) {
+      for (let tx = minX; tx <= maxX; tx++) {
+        coords.push([tx, ty]);
+      }
+    }
+    const results = await Promise.all(coords.map(([tx, ty]) => contourLinesFor(source, config, z, tx, ty, options)));
+
+    // Gather the pieces of each elevation in world pixels, at the largest
+    // tile size when a composite's layers have different ones
+    const sizes = results.filter(result => result).map(result => result.tileWidth);
+    const tileSize = sizes.length > 0 ? Math.max(...sizes) : null;
+    let vertices = 0;
+    const byValue = new Map();
+    results.forEach((result, i) => {
+      if (!result) return;
+      const [tx, ty] = coords[i];
+      const scale = tileSize / result.tileWidth;
+      for (const { value, level, coordinates } of result.features) {
+        if (!byValue.has(value)) byValue.set(value, { value, level, lines: [] });
+        for (const line of coordinates) {
+          vertices += line.length;
+          byValue.get(value).lines.push(line.map(([px, py]) => [tx * tileSize + px * scale, ty * tileSize + py * scale]));
+        }
+      }
+    });
+
+    if (vertices > GEOJSON_MAX_VERTICES) {
+      return res.status(400).json({
+        error: `Contours have ${vertices} vertices (limit ${GEOJSON_MAX_VERTICES}); ` +
+          'use a smaller bbox, a lower zoom or larger thresholds'
+      });
+    }
+
+    // Join pieces across tile seams, then cut to the bbox
+    const contours = [];
+    if (tileSize) {
+      const [minPx, maxPx, minPy, maxPy] = [left, right, top, bottom].map(v => v * tileSize);
+      for (const contour of [...byValue.values()].sort((a, b) => a.value - b.value)) {
+        const lines = joinLines(contour.lines).flatMap(line => clipLine(line, minPx, minPy, maxPx, maxPy));
+        if (lines.length > 0) {
+          contours.push({ ...contour, lines });
+        }
+      }
+    }
+    console.log(`GeoJSON contours ${tileset} z${z} [${bbox.join(',')}]: ${tileCount} tiles, ${vertices} vertices`);
+
+    res.set('Content-Type', 'application/geo+json');
+    res.json(contourFeatureCollection(contours, z, tileSize, options.units, bbox, config.bathymetry));
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting GeoJSON request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Server busy' });
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).json({ error: 'Remote archive unavailable' });
+    }
+    console.error('Error generating GeoJSON contours:', error);
+    res.status(500).json({ error: 'Failed to generate contours' });
+  }
+});
+
+// Render a hillshade, slope or aspect tile (PNG or WebP).
+// rendererOptions(config, query) returns the options of the product's renderer.
+async function serveRasterTile(req, res, product, rendererOptions) {
+  try {
+    const tileset = req.params.tileset;
+    const format = req.params.format;
+    const z = parseInt(req.params.z);
+    const x = parseInt(req.params.x);
+    const y = parseInt(req.params.y);
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    // Respect the tileset's zoom range, including overzoom levels
+    const { minzoom, maxzoom } = zoomRange(config, await archive.getHeader());
+    if (z < minzoom || z > maxzoom) {
+      return res.status(404).send('Tile not found');
+    }
+
+    let options;
+    try {
+      options = rendererOptions(config, req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const source = await demSourceFor(tileset, archive, config);
+    const contentType = `image/${format}`;
+
+    // Serve from the tile cache when this tile was already rendered. Requests
+    // still reading an archive that has been reloaded since bypass the cache.
+    let cacheKey = null;
+    if (tileCache.enabled && tilesets.isCurrent(tileset, archive)) {
+      await tileCache.setVersion(tileset, source.version);
+
+      cacheKey = tileCacheKey(tileset, source.version, z, x, y, {
+        encoding: config.encoding,
+        resampling: config.resampling,
+        product,
+        options
+      }, format);
+
+      const cached = await tileCache.get(cacheKey);
+      if (cached) {
+        res.set('X-Cache', 'HIT');
+        res.set('Content-Type', contentType);
+        return res.send(cached);
+      }
+      res.set('X-Cache', 'MISS');
+    }
+
+    // Fetch tile with neighbors so slopes at the tile edges are seamless
+    const { tiles, positions, partial } = await demTiles.fetchTileWithBuffer(source, z, x, y);
+
+    // Stitch, render and encode in a worker thread
+    const result = await workerPool.run('raster', {
+      tiles,
+      positions,
+      z,
+      y,
+      product,
+      format,
+      options
+    });
+
+    if (!result) {
+      return res.status(404).send('Tile not found');
+    }
+
+    const image = Buffer.from(result.buffer, result.byteOffset, result.byteLength);
+
+    // Store without delaying the response, unless the archive was reloaded
+    // meanwhile or a neighbour tile failed to load; store errors are logged
+    // by the cache
+    if (cacheKey && !partial && tilesets.isCurrent(tileset, archive)) {
+      tileCache.set(cacheKey, image);
+    }
+
+    res.set('Content-Type', contentType);
+    res.send(image);
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting tile request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).send('Server busy');
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).send('Remote archive unavailable');
+    }
+    console.error(`Error processing ${product} tile:`, error);
+    res.status(500).send('Internal server error');
+  }
+}
+
+// Hillshade tile handler.
+// Query parameters override the tileset's hillshade options for one request.
+app.get('/:tileset/:z/:x/:y.:format(png|webp)', (req, res) => {
+  serveRasterTile(req, res, 'hillshade', (config, query) => ({ ...config.hillshade, ...parseHillshadeQuery(query) }));
+});
+
+// Slope angle and aspect tile handler, coloured with the tileset's ramps
+app.get('/:tileset/:product(slope|aspect)/:z/:x/:y.:format(png|webp)', (req, res) => {
+  const product = req.params.product;
+  serveRasterTile(req, res, product, config => config[`${product}Ramp`]);
+});
+
+// Point elevation: GET /:tileset/elevation?lat=&lon=
+app.get('/:tileset/elevation', async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const valid = validateLonLat(lon, lat);
+    if (valid !== true) {
+      return res.status(400).json({ error: `Invalid point: ${valid}` });
+    }
+
+    const source = await demSourceFor(tileset, archive, config);
+    const result = await elevationAt(source, lon, lat);
+    if (!result) {
+      return res.status(404).json({ error: 'No elevation data at this point', lat, lon });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting elevation request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Server busy' });
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).json({ error: 'Remote archive unavailable' });
+    }
+    console.error('Error querying elevation:', error);
+    res.status(500).json({ error: 'Failed to query elevation' });
+  }
+});
+
+// Batch point elevation: POST /:tileset/elevation with { "points": [{ "lat", "lon" }, ...] }.
+// Results are in the same order; points without data get a null elevation.
+app.post('/:tileset/elevation', jsonBody('1mb'), async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    const points = req.body?.points;
+    if (!Array.isArray(points)) {
+      return res.status(400).json({ error: 'Request body must be an object with a "points" array' });
+    }
+    if (points.length > ELEVATION_BATCH_LIMIT) {
+      return res.status(400).json({
+        error: `Too many points: ${points.length} (limit ${ELEVATION_BATCH_LIMIT})`
+      });
+    }
+    for (const [index, point] of points.entries()) {
+      const valid = validateLonLat(point?.lon, point?.lat);
+      if (valid !== true) {
+        return res.status(400).json({ error: `Invalid point ${index}: ${valid}` });
+      }
+    }
+
+    const source = await demSourceFor(tileset, archive, config);
+
+    // One point at a time: neighbouring points share decoded tiles from the DEM cache
+    const results = [];
+    for (const { lat, lon } of points) {
+      results.push(await elevationAt(source, lon, lat) || { lat, lon, elevation: null, zoom: null, resolution: null });
+    }
+
+    res.json({ results });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting elevation request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Server busy' });
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).json({ error: 'Remote archive unavailable' });
+    }
+    console.error('Error querying elevations:', error);
+    res.status(500).json({ error: 'Failed to query elevation' });
+  }
+});
+
+// Elevation profile along a line: POST /:tileset/profile?spacing=<meters>
+// with a GeoJSON LineString (or Feature) or { "polyline": "..." } body
+app.post('/:tileset/profile', jsonBody('5mb'), async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    let coordinates;
+    try {
+      coordinates = parseProfileLine(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const spacing = req.query.spacing !== undefined ? parseFloat(req.query.spacing) : PROFILE_SPACING;
+    if (!Number.isFinite(spacing) || spacing <= 0) {
+      return res.status(400).json({ error: 'Invalid spacing: must be a positive number of meters' });
+    }
+    if (spacing < PROFILE_MIN_SPACING) {
+      return res.status(400).json({ error: `Spacing of ${spacing} m is too small (minimum ${PROFILE_MIN_SPACING} m)` });
+    }
+
+    // Limits keep a single request from tying up the server
+    if (coordinates.length > PROFILE_MAX_VERTICES) {
+      return res.status(400).json({
+        error: `Line has too many vertices: ${coordinates.length} (limit ${PROFILE_MAX_VERTICES})`
+      });
+    }
+    const length = lineLength(coordinates);
+    if (length > PROFILE_MAX_LENGTH * 1000) {
+      return res.status(400).json({
+        error: `Line is too long: ${(length / 1000).toFixed(1)} km (limit ${PROFILE_MAX_LENGTH} km)`
+      });
+    }
+    // Counted before any sample is created
+    const count = sampleCount(coordinates, spacing);
+    if (count > PROFILE_MAX_SAMPLES) {
+      return res.status(400).json({
+        error: `Spacing of ${spacing} m needs ${count} samples (limit ${PROFILE_MAX_SAMPLES}); use a larger spacing`
+      });
+    }
+    const samples = densifyLine(coordinates, spacing);
+
+    const source = await demSourceFor(tileset, archive, config);
+
+    // One sample at a time: consecutive samples share decoded tiles from the DEM cache
+    const profile = [];
+    for (const { point: [lon, lat], distance } of samples) {
+      const result = await elevationAt(source, lon, lat);
+      profile.push([Math.round(distance * 10) / 10, result ? result.elevation : null]);
+    }
+
+    const round = value => (value === null ? null : Math.round(value * 100) / 100);
+    const stats = profileStats(profile.map(([, elevation]) => elevation));
+
+    res.json({
+      distance: Math.round(length * 10) / 10,
+      spacing,
+      samples: profile.length,
+      ascent: round(stats.ascent),
+      descent: round(stats.descent),
+      min: round(stats.min),
+      max: round(stats.max),
+      profile
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      console.warn(`Rejecting profile request: ${error.message}`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Server busy' });
+    }
+    if (error instanceof RemoteSourceError) {
+      console.error(`Error reading remote archive: ${error.message}`);
+      return res.status(502).json({ error: 'Remote archive unavailable' });
+    }
+    console.error('Error computing profile:', error);
+    res.status(500).json({ error: 'Failed to compute profile' });
+  }
+});
+
+// Hillshade TileJSON endpoint; ?format=webp lists WebP tiles instead of PNG
+app.get('/:tileset/hillshade.json', async (req, res) => {
+  try {
+    const tileset = req.params.tileset;
+    const format = req.query.format === 'webp' ? 'webp' : 'png';
+
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Tileset not found',
+        tileset,
+        available: Array.from(tilesets.keys())
+      });
+    }
+    const { archive, config } = entry;
+
+    const metadata = await archive.getMetadata();
+    const header = await archive.getHeader();
+    const { minzoom, maxzoom } = zoomRange(config, header);
+
+    const host = req.get('host');
+    const protocol = req.protocol;
+    const baseUrl = `${protocol}://${host}`;
+
+    const tilejson = {
+      tilejson: '3.0.0',
+      name: `${metadata?.name || tileset} hillshade`,
+      description: 'Hillshade generated from DEM data',
+      version: '1.0.0',
+      scheme: 'xyz',
+      format,
+      tiles: [`${baseUrl}/${tileset}/{z}/{x}/{y}.${format}`],
+      minzoom,
+      maxzoom,
+      bounds: [
+        header.minLon || -180,
+        header.minLat || -85.0511,
+        header.maxLon || 180,
+        header.maxLat || 85.0511
+      ],
+      center: [
+        ((header.minLon || -180) + (header.maxLon || 180)) / 2,
+        ((header.minLat || -85.0511) + (header.maxLat || 85.0511)) / 2,
+        header.centerZoom || Math.floor((minzoom + maxzoom) / 2)
+      ],
+      attribution: metadata?.attribution || '',
+      encoding: config.encoding,
+      encoding_source: config.encodingSource,
+      resampling: config.resampling,
+      ...hillshadeSettings(config.hillshade)
+    };
+
+    res.json(tilejson);
+  } catch (error) {
+    console.error('Error generating hillshade TileJSON:', error);
+    res.status(500).json({ error: 'Failed to generate TileJSON' });
+  }
+});
+
 // TileJSON endpoint
 app.get('/:tileset.json', async (req, res) => {
   try {
     const tileset = req.params.tileset;
 
-    // Lookup PMTiles instance
-    const pmtiles = tilesets.get(tileset);
-    if (!pmtiles) {
+    // Lookup tileset
+    const entry = tilesets.acquire(tileset, res);
+    if (!entry) {
       return res.status(404).json({
         error: 'Tileset not found',
         tileset,
         available: Array.from(tilesets.keys())
       });
     }
+    const { archive, config } = entry;
+
+    // ?units= selects the units of the tiles (and of ele) this TileJSON points to
+    let units;
+    try {
+      units = requestUnits(req.query, config);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const query = units === config.units ? '' : `?units=${units}`;
 
-    const metadata = await pmtiles.getMetadata();
-    const header = await pmtiles.getHeader();
+    const metadata = await archive.getMetadata();
+    const header = await archive.getHeader();
+    const { minzoom, maxzoom } = zoomRange(config, header);
 
     const host = req.get('host');
     const protocol = req.protocol;
@@ -572,9 +1145,9 @@ app.get('/:tileset.json', async (req, res) => {
       description: 'Contour lines generated from DEM data',
       version: '1.0.0',
       scheme: 'xyz',
-      tiles: [`${baseUrl}/${tileset}/{z}/{x}/{y}.mvt`],
-      minzoom: header.minZoom || 0,
-      maxzoom: header.maxZoom || 14,
+      tiles: [`${baseUrl}/${tileset}/{z}/{x}/{y}.mvt${query}`],
+      minzoom,
+      maxzoom,
       bounds: [
         header.minLon || -180,
         header.minLat || -85.0511,
@@ -584,21 +1157,12 @@ app.get('/:tileset.json', async (req, res) => {
       center: [
         ((header.minLon || -180) + (header.maxLon || 180)) / 2,
         ((header.minLat || -85.0511) + (header.maxLat || 85.0511)) / 2,
-        header.centerZoom || Math.floor((header.minZoom + header.maxZoom) / 2)
+        header.centerZoom || Math.floor((minzoom + maxzoom) / 2)
       ],
-      vector_layers: [
-        {
-          id: 'contours',
-          description: 'Elevation contour lines',
-          minzoom: header.minZoom || 0,
-          maxzoom: header.maxZoom || 14,
-          fields: {
-            ele: 'Number - Elevation in meters',
-            level: 'Number - 0 for minor contours, 1 for major contours'
-          }
-        }
-      ],
-      attribution: metadata?.attribution || ''
+      vector_layers: contourVectorLayers(config, units, minzoom, maxzoom),
+      attribution: metadata?.attribution || '',
+      ...contourSettings(config),
+      units
     };
 
     res.json(tilejson);
@@ -614,7 +1178,11 @@ app.get('/health', (req, res) => {
     status: 'ok',
     directory: pmtilesDirPath,
     tilesets: Array.from(tilesets.keys()),
-    count: tilesets.size
+    count: tilesets.size,
+    cache: tileCache.stats(),
+    demCache: demCache.stats(),
+    remoteBlockCache: blockCache.stats(),
+    workers: workerPool.stats()
   });
 });
 
@@ -626,17 +1194,37 @@ app.listen(PORT, () => {
   for (const name of tilesets.keys()) {
     console.log(`  - ${name}`);
   }
-  console.log(`Encoding: ${ENCODING}`);
-  console.log(`Contour interval: ${CONTOUR_INTERVAL}m (major: ${MAJOR_INTERVAL}m)`);
+  console.log(`Fallback encoding: ${ENCODING}`);
+  console.log(`Default contour interval: ${CONTOUR_INTERVAL} ${UNITS} (major: ${MAJOR_INTERVAL} ${UNITS})`);
+  console.log(`Tile cache: ${TILE_CACHE_SIZE > 0 ? `${TILE_CACHE_SIZE}MB in memory` : 'memory disabled'}` +
+    (TILE_CACHE_DIR ? `, disk at ${resolve(TILE_CACHE_DIR)}` : ''));
+  console.log(`DEM cache: ${DEM_CACHE_SIZE}MB`);
+  if ([...tilesets.keys()].some(name => isRemoteLocation(tilesets.get(name).location))) {
+    console.log(`Remote block cache: ${REMOTE_BLOCK_CACHE_SIZE}MB in memory` +
+      (REMOTE_CACHE_DIR ? `, disk at ${resolve(REMOTE_CACHE_DIR)}` : '') +
+      ` (retries: ${REMOTE_RETRIES}, timeout: ${REMOTE_TIMEOUT}ms)`);
+  }
+  console.log(`Worker threads: ${WORKER_THREADS > 0 ? WORKER_THREADS : 'none (inline)'} (queue: ${WORKER_QUEUE_SIZE})`);
+  console.log(`Reload: ${WATCH_DIRECTORY ? `watching the directory (after ${RELOAD_DELAY}ms quiet)` : 'on POST /admin/reload only'}` +
+    (ADMIN_TOKEN ? ', admin token required' : ', admin endpoints disabled'));
   console.log(`\nEndpoints:`);
   console.log(`  Catalog: http://localhost:${PORT}/`);
   console.log(`  TileJSON: http://localhost:${PORT}/{tileset}.json`);
   console.log(`  Tiles: http://localhost:${PORT}/{tileset}/{z}/{x}/{y}.mvt`);
+  console.log(`  GeoJSON: http://localhost:${PORT}/{tileset}/{z}/{x}/{y}.geojson, ` +
+    `.../{tileset}/contours.geojson?bbox={west},{south},{east},{north}&zoom={z}`);
+  console.log(`  Hillshade TileJSON: http://localhost:${PORT}/{tileset}/hillshade.json`);
+  console.log(`  Hillshade: http://localhost:${PORT}/{tileset}/{z}/{x}/{y}.png (or .webp)`);
+  console.log(`  Slope/aspect: http://localhost:${PORT}/{tileset}/slope/{z}/{x}/{y}.png, .../aspect/...`);
+  console.log(`  Elevation: http://localhost:${PORT}/{tileset}/elevation?lat={lat}&lon={lon} (POST for batches)`);
+  console.log(`  Profile: POST http://localhost:${PORT}/{tileset}/profile`);
   console.log(`  Health: http://localhost:${PORT}/health`);
+  console.log(`  Reloads: http://localhost:${PORT}/admin/reloads (POST /admin/reload to rescan)`);
   if (tilesets.size > 0) {
     const firstTileset = Array.from(tilesets.keys())[0];
     console.log(`\nExample URLs (using "${firstTileset}"):`);
     console.log(`  http://localhost:${PORT}/${firstTileset}.json`);
     console.log(`  http://localhost:${PORT}/${firstTileset}/12/2048/2048.mvt`);
+    console.log(`  http://localhost:${PORT}/${firstTileset}/12/2048/2048.png`);
   }
 });
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { readdir, readlink, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { FileSource, MBTilesArchive, PMTilesArchive, openArchive } from '../lib/archives.js';
+import { temporaryDirectory, writeDemArchive } from './helpers.js';
+
+const directory = temporaryDirectory('archives');
+
+// MBTiles file with the given metadata rows and tiles [z, x, y, data] in XYZ
+function writeMBTiles(path, metadata, tiles) {
+  const database = new Database(path);
+  database.exec(`
+    CREATE TABLE metadata (name TEXT, value TEXT);
+    CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+  `);
+  const addMetadata = database.prepare('INSERT INTO metadata VALUES (?, ?)');
+  for (const [name, value] of Object.entries(metadata)) addMetadata.run(name, value);
+  const addTile = database.prepare('INSERT INTO tiles VALUES (?, ?, ?, ?)');
+  for (const [z, x, y, data] of tiles) addTile.run(z, x, Math.pow(2, z) - 1 - y, Buffer.from(data));
+  database.close();
+}
+
+// Open file descriptors of this process on a file (Linux only)
+async function openDescriptors(path) {
+  let count = 0;
+  for (const fd of await readdir('/proc/self/fd')) {
+    if (await readlink(`/proc/self/fd/${fd}`).catch(() => null) === path) count++;
+  }
+  return count;
+}
+
+test('concurrent first reads of a file source share one handle', { skip: !existsSync('/proc/self/fd') }, async () => {
+  const path = join(directory(), 'bytes.bin');
+  await writeFile(path, Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]));
+
+  const source = new FileSource(path);
+  const reads = await Promise.all([0, 2, 4, 6].map(offset => source.getBytes(offset, 2)));
+  assert.deepEqual(reads.map(({ data }) => [...new Uint8Array(data)]), [[1, 2], [3, 4], [5, 6], [7, 8]]);
+  assert.equal(await openDescriptors(path), 1);
+
+  await source.close();
+  assert.equal(await openDescriptors(path), 0);
+});
+
+test('a file source that failed to open tries again on the next read', async () => {
+  const path = join(directory(), 'later.bin');
+  const source = new FileSource(path);
+  await assert.rejects(source.getBytes(0, 1), { code: 'ENOENT' });
+
+  await writeFile(path, Buffer.from([42]));
+  assert.deepEqual([...new Uint8Array((await source.getBytes(0, 1)).data)], [42]);
+  await source.close();
+});
+
+test('archives are opened by their file extension', () => {
+  assert.ok(openArchive('dem.pmtiles') instanceof PMTilesArchive);
+  assert.ok(openArchive('DEM.MBTiles') instanceof MBTilesArchive);
+  assert.throws(() => openArchive('dem.tif'), /Unsupported archive format: dem\.tif/);
+});
+
+test('MBTiles rows are read in the XYZ scheme', async () => {
+  const path = join(directory(), 'scheme.mbtiles');
+  writeMBTiles(path, { minzoom: '0', maxzoom: '2' }, [[2, 1, 0, 'north'], [2, 1, 3, 'south']]);
+
+  const archive = new MBTilesArchive(path);
+  assert.equal(Buffer.from(await archive.getTile(2, 1, 0)).toString(), 'north');
+  assert.equal(Buffer.from(await archive.getTile(2, 1, 3)).toString(), 'south');
+  assert.equal(await archive.getTile(2, 2, 0), null);
+});
+
+test('MBTiles metadata merges the json row, the header falls back to the tiles and the world', async () => {
+  const path = join(directory(), 'metadata.mbtiles');
+  writeMBTiles(path, { name: 'dem', json: '{"encoding":"mapbox"}' }, [[3, 0, 0, 'a'], [5, 0, 0, 'b']]);
+
+  const archive = new MBTilesArchive(path);
+  assert.deepEqual(await archive.getMetadata(), { name: 'dem', encoding: 'mapbox' });
+  assert.deepEqual(await archive.getHeader(), {
+    minZoom: 3,
+    maxZoom: 5,
+    minLon: -180,
+    minLat: -85.0511,
+    maxLon: 180,
+    maxLat: 85.0511,
+    centerLon: 0,
+    centerLat: 0,
+    centerZoom: 4
+  });
+});
+
+test('MBTiles bounds and center come from the metadata', async () => {
+  const path = join(directory(), 'bounds.mbtiles');
+  writeMBTiles(path, { minzoom: '6', maxzoom: '12', bounds: '5.9,45.8,10.5,47.8', center: '8.2,46.8,9' }, []);
+
+  const header = await new MBTilesArchive(path).getHeader();
+  assert.deepEqual([header.minLon, header.minLat, header.maxLon, header.maxLat], [5.9, 45.8, 10.5, 47.8]);
+  assert.deepEqual([header.centerLon, header.centerLat, header.centerZoom], [8.2, 46.8, 9]);
+  assert.deepEqual([header.minZoom, header.maxZoom], [6, 12]);
+});
+
+test('a replaced PMTiles file keeps the version and data of the file being read', async () => {
+  const path = join(directory(), 'replaced.pmtiles');
+  await writeDemArchive(path, 1000);
+
+  const old = new PMTilesArchive(path);
+  const oldTile = Buffer.from(await old.getTile(0, 0, 0));
+  const oldVersion = await old.getVersion();
+
+  await writeDemArchive(`${path}.new.pmtiles`, 2000);
+  await rename(`${path}.new.pmtiles`, path);
+  const current = new PMTilesArchive(path);
+
+  assert.equal(await old.getVersion(), oldVersion);
+  assert.deepEqual(Buffer.from(await old.getTile(0, 0, 0)), oldTile);
+  assert.notEqual(await current.getVersion(), oldVersion);
+  assert.notDeepEqual(Buffer.from(await current.getTile(0, 0, 0)), oldTile);
+
+  await old.close();
+  await current.close();
+});
+
+test('a replaced MBTiles file keeps the version and data of the file being read', async () => {
+  const path = join(directory(), 'replaced.mbtiles');
+  writeMBTiles(path, {}, [[0, 0, 0, 'old']]);
+
+  const old = new MBTilesArchive(path);
+  const oldVersion = await old.getVersion();
+
+  writeMBTiles(`${path}.new`, {}, [[0, 0, 0, 'new']]);
+  await rename(`${path}.new`, path);
+  const current = new MBTilesArchive(path);
+
+  assert.equal(await old.getVersion(), oldVersion);
+  assert.equal(Buffer.from(await old.getTile(0, 0, 0)).toString(), 'old');
+  assert.notEqual(await current.getVersion(), oldVersion);
+  assert.equal(Buffer.from(await current.getTile(0, 0, 0)).toString(), 'new');
+
+  await old.close();
+  await current.close();
+});
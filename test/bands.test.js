@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bandThresholds, generateBands, translateBands } from '../lib/bands.js';
+import { grid } from './helpers.js';
+
+// Signed area of a ring, positive for clockwise with y down
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i++) {
+    sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+  }
+  return sum / 2;
+}
+
+test('a slope gives one band per interval it spans', () => {
+  const values = grid(40, 4, x => x * 10 + 5);
+  const bands = generateBands(values, 40, 4, 100, 'meters', 0, 40);
+
+  assert.deepEqual(bands.map(band => [band.min, band.max]), [[0, 100], [100, 200], [200, 300], [300, 400]]);
+  for (const band of bands) {
+    assert.equal(band.polygons.length, 1);
+  }
+});
+
+test('bands around a peak are rings with the higher bands as holes', () => {
+  const values = grid(21, 21, (x, y) => 305 - Math.hypot(x - 10, y - 10) * 20);
+  const bands = generateBands(values, 21, 21, 100, 'meters', 0, 21);
+  const top = bands[bands.length - 1];
+  const ring = bands[bands.length - 2];
+
+  assert.deepEqual([top.min, top.max], [300, 400]);
+  assert.equal(top.polygons.length, 1);
+  assert.equal(top.polygons[0].length, 1);
+
+  assert.deepEqual([ring.min, ring.max], [200, 300]);
+  assert.equal(ring.polygons.length, 1);
+  const [exterior, hole] = ring.polygons[0];
+  assert.ok(ringArea(exterior) > 0, 'exteriors are clockwise');
+  assert.ok(ringArea(hole) < 0, 'holes are counterclockwise');
+  assert.ok(ringArea(exterior) > -ringArea(hole));
+});
+
+test('bands in feet are at multiples of the interval in feet', () => {
+  const values = grid(20, 2, x => x * 10);
+  const bands = generateBands(values, 20, 2, 250, 'feet', 0, 20);
+  assert.deepEqual(bands.map(band => band.min), [0, 250, 500]);
+});
+
+test('band rings are shifted from the buffered grid to the tile', () => {
+  const bands = translateBands([{ min: 0, max: 10, polygons: [[[[1, 1], [3, 1], [3, 3], [1, 1]]]] }], 1);
+  assert.deepEqual(bands[0].polygons, [[[[0, 0], [2, 0], [2, 2], [0, 0]]]]);
+});
+
+test('band boundaries cover the elevation range at the interval', () => {
+  assert.deepEqual(bandThresholds(120, 450, 100), [100, 200, 300, 400, 500]);
+  assert.deepEqual(bandThresholds(100, 400, 100), [100, 200, 300, 400, 500]);
+  assert.deepEqual(bandThresholds(-120, 30, 50), [-150, -100, -50, 0, 50]);
+});
+
+test('below sea level, bands use the sea interval', () => {
+  assert.deepEqual(bandThresholds(-3500, 250, 100, 1000), [-4000, -3000, -2000, -1000, 0, 100, 200, 300]);
+  assert.deepEqual(bandThresholds(-3500, -1200, 100, 1000), [-4000, -3000, -2000, -1000]);
+  assert.deepEqual(bandThresholds(20, 250, 100, 1000), [0, 100, 200, 300]);
+});
+
+test('bands of a topo-bathy grid follow the land and sea intervals', () => {
+  const values = grid(40, 4, x => x * 100 - 2950);
+  const bands = generateBands(values, 40, 4, 250, 'meters', 0, 40, 1000);
+
+  assert.deepEqual(bands.map(band => [band.min, band.max]), [
+    [-3000, -2000], [-2000, -1000], [-1000, 0], [0, 250], [250, 500], [500, 750], [750, 1000]
+  ]);
+  for (const band of bands) {
+    assert.ok(band.polygons.length > 0);
+  }
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Pbf from 'pbf';
+import { VectorTile } from '@mapbox/vector-tile';
+import {
+  decodeElevation, decodeElevations, encodeMVT, extrapolateEdges, generateContours, hasNodata, stitchTiles
+} from '../lib/contours.js';
+import { tasks } from '../lib/tile-tasks.js';
+import { demTile, encodePixels, encodePng, NEIGHBOURHOOD } from './helpers.js';
+
+// A 3x3 neighbourhood of size x size tiles, the elevations telling the
+// tile (thousands and hundreds) and the pixel (tens and ones) apart
+function neighbourhood(size) {
+  return NEIGHBOURHOOD.map(({ x, y }) => ({
+    ...demTile(size, (px, py) => (x + 1) * 1000 + (y + 1) * 100 + py * 10 + px),
+    x,
+    y
+  }));
+}
+
+test('terrarium and mapbox elevations decode to meters', () => {
+  assert.equal(decodeElevation(128, 0, 0, 'terrarium'), 0);
+  assert.equal(decodeElevation(139, 184, 128, 'terrarium'), 3000.5);
+  assert.equal(decodeElevation(1, 134, 160, 'mapbox'), 0);
+  assert.ok(Math.abs(decodeElevation(1, 181, 128, 'mapbox') - 1200) < 1e-6);
+  assert.throws(() => decodeElevation(0, 0, 0, 'lerc'), /Unknown encoding/);
+});
+
+test('pixels decode to a grid of elevations', () => {
+  for (const encoding of ['terrarium', 'mapbox']) {
+    const elevations = decodeElevations(encodePixels([100, -20, 0, 250.5], encoding), 2, 2, encoding);
+    assert.ok(elevations instanceof Float32Array);
+    [100, -20, 0, 250.5].forEach((elevation, i) => assert.ok(Math.abs(elevations[i] - elevation) < 0.01));
+    assert.equal(hasNodata(elevations), false);
+  }
+});
+
+test('transparent pixels and nodata elevations decode to NaN', () => {
+  for (const encoding of ['terrarium', 'mapbox']) {
+    const pixels = encodePixels([100, null, -9999, 250.5], encoding);
+    const elevations = decodeElevations(pixels, 2, 2, encoding, undefined, [-9999]);
+
+    assert.ok(Math.abs(elevations[0] - 100) < 0.01);
+    assert.ok(Number.isNaN(elevations[1]));
+    assert.ok(Number.isNaN(elevations[2]), `${encoding} nodata elevation`);
+    assert.ok(Math.abs(elevations[3] - 250.5) < 0.01);
+    assert.ok(hasNodata(elevations));
+  }
+});
+
+test('elevations near but not at a nodata value are kept', () => {
+  const pixels = encodePixels([0, 0.5, -0.5, 1], 'terrarium');
+  const elevations = decodeElevations(pixels, 2, 2, 'terrarium', undefined, [0]);
+  assert.ok(Number.isNaN(elevations[0]));
+  assert.deepEqual([...elevations.subarray(1)], [0.5, -0.5, 1]);
+});
+
+test('the decode task decodes images and marks nodata', async () => {
+  const buffer = await encodePng([10, null, 0, 30], 2, 2, 'terrarium');
+
+  const { result } = await tasks.decode({ buffer, encoding: 'terrarium', nodata: [0] });
+  assert.equal(result.width, 2);
+  assert.equal(result.height, 2);
+  assert.equal(result.hasNodata, true);
+  assert.equal(result.data[0], 10);
+  assert.ok(Number.isNaN(result.data[1]));
+  assert.ok(Number.isNaN(result.data[2]));
+  assert.equal(result.data[3], 30);
+});
+
+test('stitching places the buffer pixels of each neighbour around the tile', () => {
+  const stitched = stitchTiles(neighbourhood(4), NEIGHBOURHOOD, 1);
+
+  assert.equal(stitched.width, 6);
+  assert.equal(stitched.height, 6);
+  assert.equal(stitched.tileWidth, 4);
+  assert.equal(stitched.buffer, 1);
+
+  const at = (x, y) => stitched.data[y * stitched.width + x];
+  assert.equal(at(0, 0), 33); // bottom-right pixel of the top-left neighbour
+  assert.equal(at(1, 0), 1030); // bottom row of the top neighbour
+  assert.equal(at(5, 0), 2030); // bottom-left pixel of the top-right neighbour
+  assert.equal(at(0, 1), 103); // right column of the left neighbour
+  assert.equal(at(1, 1), 1100); // the tile itself
+  assert.equal(at(4, 4), 1133);
+  assert.equal(at(5, 5), 2200); // top-left pixel of the bottom-right neighbour
+});
+
+test('stitching with a wider buffer', () => {
+  const stitched = stitchTiles(neighbourhood(4), NEIGHBOURHOOD, 2);
+
+  assert.equal(stitched.width, 8);
+  const at = (x, y) => stitched.data[y * stitched.width + x];
+  assert.equal(at(0, 0), 22);
+  assert.equal(at(2, 2), 1100);
+  assert.equal(at(7, 2), 2101);
+});
+
+test('missing neighbours are nodata, extrapolated one pixel from the data', () => {
+  const tiles = NEIGHBOURHOOD.map(({ x, y }) => (x === 0 && y === 0 ? { ...demTile(6, px => px * 10), x, y } : null));
+  const stitched = stitchTiles(tiles, NEIGHBOURHOOD, 2);
+  const at = (x, y) => stitched.data[y * stitched.width + x];
+
+  // Continues the slope of 10 per pixel to the left and right
+  assert.equal(at(1, 4), -10);
+  assert.equal(at(8, 4), 60);
+  // Above and below, where the slope runs along the edge
+  assert.equal(at(4, 1), 20);
+  assert.equal(at(4, 8), 20);
+  // Beyond one pixel, nodata
+  assert.ok(Number.isNaN(at(0, 4)));
+  assert.ok(Number.isNaN(at(9, 4)));
+  assert.ok(Number.isNaN(at(4, 0)));
+});
+
+test('extrapolation only fills nodata next to data', () => {
+  const data = Float32Array.from([
+    NaN, NaN, NaN, NaN,
+    NaN, 5, 7, NaN,
+    NaN, NaN, NaN, NaN,
+    NaN, NaN, NaN, NaN
+  ]);
+  extrapolateEdges(data, 4, 4);
+
+  assert.equal(data[1 * 4 + 0], 3); // 2 * 5 - 7
+  assert.equal(data[1 * 4 + 3], 9); // 2 * 7 - 5
+  assert.equal(data[1 * 4 + 1], 5);
+  assert.ok(Number.isNaN(data[3 * 4 + 1]));
+});
+
+test('stitching without any tile gives null', () => {
+  assert.equal(stitchTiles(NEIGHBOURHOOD.map(() => null), NEIGHBOURHOOD, 1), null);
+});
+
+test('contours are generated per side of sea level with their own intervals', () => {
+  const { data, width, height } = demTile(40, x => x * 50 - 995);
+  const byValue = features => features.map(feature => feature.value);
+
+  const all = generateContours(data, width, height, [100, 500], 'meters', [250, 1000]);
+  assert.deepEqual(byValue(all), [-750, -500, -250, 0, 100, 200, 300, 400, 500, 600, 700, 800, 900]);
+  assert.equal(all.find(feature => feature.value === -500).level, 0);
+  assert.equal(all.find(feature => feature.value === 500).level, 1);
+
+  assert.deepEqual(byValue(generateContours(data, width, height, [100, 500], 'meters', [250], 'land')),
+    [0, 100, 200, 300, 400, 500, 600, 700, 800, 900]);
+  assert.deepEqual(byValue(generateContours(data, width, height, [100, 500], 'meters', [250], 'sea')),
+    [-750, -500, -250, 0]);
+});
+
+test('contour features carry the elevation in the tile units, meters and feet', () => {
+  const line = [[[0, 5], [10, 5]]];
+  const decode = buffer => new VectorTile(new Pbf(buffer)).layers.contours.feature(0).properties;
+
+  assert.deepEqual(decode(encodeMVT([{ value: 1000, level: 1, coordinates: line }], 10, 10, 0, 0, 0)),
+    { ele: 1000, ele_m: 1000, ele_ft: 3280.8, level: 1 });
+  assert.deepEqual(decode(encodeMVT([{ value: 1000, level: 0, coordinates: line }], 10, 10, 0, 0, 0, { units: 'feet' })),
+    { ele: 1000, ele_m: 304.8, ele_ft: 1000, level: 0 });
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemCache } from '../lib/dem-cache.js';
+
+const tile = size => ({ data: new Float32Array(size), width: 1, height: size });
+
+test('concurrent requests for a tile share one load', async () => {
+  const cache = new DemCache(1024 * 1024);
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    return tile(4);
+  };
+
+  const [a, b] = await Promise.all([cache.get('dem/0/0/0', load), cache.get('dem/0/0/0', load)]);
+  assert.equal(a, b);
+  assert.equal(await cache.get('dem/0/0/0', load), a);
+  assert.equal(loads, 1);
+  assert.equal(cache.stats().hits, 2);
+  assert.equal(cache.stats().misses, 1);
+});
+
+test('missing tiles are remembered, failed loads are not', async () => {
+  const cache = new DemCache(1024 * 1024);
+  let loads = 0;
+
+  assert.equal(await cache.get('dem/1/0/0', async () => (loads++, null)), null);
+  assert.equal(await cache.get('dem/1/0/0', async () => (loads++, null)), null);
+  assert.equal(loads, 1);
+
+  await assert.rejects(cache.get('dem/1/1/0', async () => {
+    throw new Error('read failed');
+  }), /read failed/);
+  assert.deepEqual(await cache.get('dem/1/1/0', async () => tile(1)), tile(1));
+});
+
+test('the least recently used tiles are evicted beyond the size limit', async () => {
+  const cache = new DemCache(3 * 4 * 100);
+  for (let x = 0; x < 4; x++) {
+    await cache.get(`dem/2/${x}/0`, async () => tile(100));
+  }
+
+  assert.equal(cache.stats().entries, 3);
+  let loaded = false;
+  await cache.get('dem/2/0/0', async () => {
+    loaded = true;
+    return tile(100);
+  });
+  assert.ok(loaded);
+});
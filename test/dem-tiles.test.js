@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { demSourceFor, DemTiles } from '../lib/dem-tiles.js';
+import { DemCache } from '../lib/dem-cache.js';
+import { WorkerPool } from '../lib/worker-pool.js';
+import { CompositeArchive } from '../lib/archives.js';
+import { tasks } from '../lib/tile-tasks.js';
+import { encodePng } from './helpers.js';
+
+const CONFIG = { encoding: 'terrarium', nodata: [], resampling: 'bilinear' };
+
+// Every tile of zoom level 1 at one elevation
+const FLAT = elevation => Object.fromEntries(
+  ['1/0/0', '1/1/0', '1/0/1', '1/1/1'].map(key => [key, new Array(4).fill(elevation)]));
+
+// Archive of 2x2 terrarium tiles, { 'z/x/y': elevations }, up to maxZoom.
+// Reading a tile listed in its failing set rejects.
+async function archive(tiles, { maxZoom = 0, version = 'file-1' } = {}) {
+  const pngs = new Map();
+  for (const [key, elevations] of Object.entries(tiles)) {
+    pngs.set(key, await encodePng(elevations, 2, 2, 'terrarium'));
+  }
+  const failing = new Set();
+  return {
+    failing,
+    getHeader: async () => ({ minZoom: 0, maxZoom }),
+    getVersion: async () => version,
+    getTile: async (z, x, y) => {
+      if (failing.has(`${z}/${x}/${y}`)) throw new Error(`Tile ${z}/${x}/${y} unavailable`);
+      return pngs.get(`${z}/${x}/${y}`)?.slice(0) ?? null;
+    }
+  };
+}
+
+function demTiles() {
+  return new DemTiles(new DemCache(1024 * 1024), new WorkerPool({ tasks, size: 0, maxQueue: 16 }));
+}
+
+test('source versions change with the archive, the encoding and the nodata values', async () => {
+  const dem = await archive({});
+  const other = await archive({}, { version: 'file-2' });
+  const version = async (config, source = dem) => (await demSourceFor('dem', source, config)).version;
+
+  const base = await version(CONFIG);
+  assert.equal(await version({ ...CONFIG }), base);
+  assert.notEqual(await version(CONFIG, other), base);
+  assert.notEqual(await version({ ...CONFIG, encoding: 'mapbox' }), base);
+  assert.notEqual(await version({ ...CONFIG, nodata: [0] }), base);
+  assert.notEqual(await version({ ...CONFIG, nodata: [0] }), await version({ ...CONFIG, nodata: [-9999] }));
+  assert.match(base, /^[0-9a-f]{12}$/);
+});
+
+test('changed nodata values are decoded anew through a shared DEM cache', async () => {
+  const tiles = demTiles();
+  const dem = await archive({ '0/0/0': [100, 0, 200, 300] });
+
+  const before = await tiles.fetchTile(await demSourceFor('dem', dem, CONFIG), 0, 0, 0);
+  assert.deepEqual([...before.data], [100, 0, 200, 300]);
+  assert.equal(before.hasNodata, false);
+
+  const after = await tiles.fetchTile(await demSourceFor('dem', dem, { ...CONFIG, nodata: [0] }), 0, 0, 0);
+  assert.equal(after.data[0], 100);
+  assert.ok(Number.isNaN(after.data[1]));
+  assert.equal(after.hasNodata, true);
+});
+
+test('overzoomed tiles are resampled from the archive\'s max zoom', async () => {
+  const tiles = demTiles();
+  const source = await demSourceFor('dem', await archive(FLAT(100), { maxZoom: 1 }), CONFIG);
+
+  const tile = await tiles.fetchTile(source, 2, 1, 1);
+  assert.equal(tile.width, 2);
+  assert.deepEqual([...tile.data], [100, 100, 100, 100]);
+  assert.equal(await tiles.fetchTile(source, 2, 0, 9), null);
+});
+
+test('a tile that fails to load fails the request, a failed neighbour marks it partial', async () => {
+  const tiles = demTiles();
+  const dem = await archive(FLAT(100), { maxZoom: 1 });
+  const source = await demSourceFor('dem', dem, CONFIG);
+
+  dem.failing.add('1/0/0');
+  await assert.rejects(tiles.fetchTileWithBuffer(source, 1, 0, 0), /Tile 1\/0\/0 unavailable/);
+
+  const { tiles: buffered, partial } = await tiles.fetchTileWithBuffer(source, 1, 1, 1);
+  assert.equal(partial, true);
+  assert.equal(buffered[0], null);
+  assert.deepEqual([...buffered[4].data], [100, 100, 100, 100]);
+
+  // Tiles outside the archive are missing, not failed
+  dem.failing.clear();
+  assert.equal((await tiles.fetchTileWithBuffer(source, 1, 1, 1)).partial, false);
+});
+
+test('overzoomed tiles missing a failed neighbour are not cached', async () => {
+  const tiles = demTiles();
+  const dem = await archive({ ...FLAT(100), '1/0/0': [0, 0, 0, 0] }, { maxZoom: 1 });
+  const source = await demSourceFor('dem', dem, CONFIG);
+
+  // The top-left pixel of 2/2/2 is interpolated from the 1/0/0 corner
+  dem.failing.add('1/0/0');
+  const partial = await tiles.fetchTile(source, 2, 2, 2);
+  assert.equal(partial.partial, true);
+
+  dem.failing.clear();
+  const full = await tiles.fetchTile(source, 2, 2, 2);
+  assert.equal(full.partial, undefined);
+  assert.notEqual(full.data[0], partial.data[0]);
+  assert.equal(await tiles.fetchTile(source, 2, 2, 2), full);
+});
+
+test('composite tiles come from the first layer that has them', async () => {
+  const tiles = demTiles();
+  const composite = new CompositeArchive([
+    { name: 'detail', archive: await archive({ '2/0/0': [10, 20, 30, 40] }, { maxZoom: 2 }), config: CONFIG },
+    { name: 'coarse', archive: await archive(FLAT(5), { maxZoom: 1 }), config: CONFIG }
+  ]);
+  const source = await demSourceFor('both', composite, CONFIG);
+  assert.equal(source.maxZoom, 2);
+
+  assert.deepEqual([...(await tiles.fetchTile(source, 2, 0, 0)).data], [10, 20, 30, 40]);
+  assert.deepEqual([...(await tiles.fetchTile(source, 1, 1, 0)).data], [5, 5, 5, 5]);
+
+  // Beyond the detail layer's extent, the coarse layer overzoomed
+  assert.deepEqual([...(await tiles.fetchTile(source, 2, 1, 1)).data], [5, 5, 5, 5]);
+});
+
+test('composite tiles fill nodata pixels from lower priority layers', async () => {
+  const tiles = demTiles();
+  const composite = new CompositeArchive([
+    { name: 'detail', archive: await archive({ '0/0/0': [10, null, 30, -9999] }), config: { ...CONFIG, nodata: [-9999] } },
+    { name: 'coarse', archive: await archive({ '0/0/0': [1, 2, 3, 4] }), config: CONFIG }
+  ]);
+
+  const tile = await tiles.fetchTile(await demSourceFor('both', composite, CONFIG), 0, 0, 0);
+  assert.deepEqual([...tile.data], [10, 2, 30, 4]);
+  assert.equal(tile.hasNodata, false);
+});
+
+test('composite source versions change with their layers and the layers\' settings', async () => {
+  const composite = async (version, config) => new CompositeArchive([
+    { name: 'a', archive: await archive({}, { version }), config },
+    { name: 'b', archive: await archive({}), config: CONFIG }
+  ]);
+  const version = async (layerVersion, config = CONFIG) =>
+    (await demSourceFor('both', await composite(layerVersion, config), CONFIG)).version;
+
+  assert.equal(await version('file-1'), await version('file-1', { ...CONFIG }));
+  assert.notEqual(await version('file-2'), await version('file-1'));
+  assert.notEqual(await version('file-1', { ...CONFIG, nodata: [3] }), await version('file-1'));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleElevation, validateLonLat } from '../lib/elevation.js';
+import { demTile } from './helpers.js';
+
+// Tiles of zoom 1, 4x4 pixels each, sampling a plane of 10 m per world
+// pixel eastwards and 1 m per world pixel southwards
+function planeTile(x, y) {
+  return demTile(4, (px, py) => (x * 4 + px) * 10 + (y * 4 + py));
+}
+
+// World pixel (of 8x8 at zoom 1) of a point
+function worldPixel(lon, lat) {
+  const latRad = lat * Math.PI / 180;
+  return [
+    (lon + 180) / 360 * 8,
+    (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * 8
+  ];
+}
+
+test('elevations are interpolated between pixel centers, across tile edges', async () => {
+  const fetched = [];
+  const getTile = async (x, y) => {
+    fetched.push(`${x}/${y}`);
+    return planeTile(x, y);
+  };
+
+  for (const [lon, lat] of [[-120, 40], [-2, 30], [1, -3], [150, -60]]) {
+    const [px, py] = worldPixel(lon, lat);
+    const sample = await sampleElevation(lon, lat, 1, getTile);
+    assert.equal(sample.tileSize, 4);
+    assert.ok(Math.abs(sample.elevation - ((px - 0.5) * 10 + (py - 0.5))) < 1e-3, `${lon},${lat}`);
+  }
+
+  // West of the prime meridian the tile to the east is read too
+  assert.ok(fetched.includes('1/0'));
+});
+
+test('missing neighbours are left out, a missing tile gives null', async () => {
+  const onlyWest = async (x, y) => (x === 0 && y === 0 ? planeTile(0, 0) : null);
+
+  // At the east edge of tile 0/0 the eastern neighbour pixels are missing
+  const [lon, lat] = [-1, 40];
+  const sample = await sampleElevation(lon, lat, 1, onlyWest);
+  const [, py] = worldPixel(lon, lat);
+  assert.ok(Math.abs(sample.elevation - (3 * 10 + (py - 0.5))) < 1e-3);
+
+  assert.equal(await sampleElevation(10, 10, 1, onlyWest), null);
+});
+
+test('points are validated', () => {
+  assert.equal(validateLonLat(8.5, 47.3), true);
+  assert.match(validateLonLat(181, 0), /longitude/);
+  assert.match(validateLonLat(NaN, 0), /longitude/);
+  assert.match(validateLonLat(0, 86), /latitude/);
+});
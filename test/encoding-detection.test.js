@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectEncoding } from '../lib/encoding-detection.js';
+import { encodePng } from './helpers.js';
+
+// Archive with the same tile at every zoom level
+function archive(tile, metadata = {}) {
+  return {
+    getMetadata: async () => metadata,
+    getHeader: async () => ({ minZoom: 0, maxZoom: 2, centerZoom: 1, centerLon: 8, centerLat: 46 }),
+    getTile: async () => tile
+  };
+}
+
+const ELEVATIONS = Array.from({ length: 64 }, (_, i) => 400 + i * 25);
+
+test('the encoding in the metadata wins', async () => {
+  const tile = await encodePng(ELEVATIONS, 8, 8, 'terrarium');
+  assert.deepEqual(await detectEncoding(archive(tile, { encoding: 'mapbox' })), { encoding: 'mapbox', method: 'metadata' });
+});
+
+test('sampled tiles tell the encodings apart', async () => {
+  for (const encoding of ['terrarium', 'mapbox']) {
+    const tile = await encodePng(ELEVATIONS, 8, 8, encoding);
+    assert.deepEqual(await detectEncoding(archive(tile)), { encoding, method: 'sampling' });
+  }
+});
+
+test('archives without tiles or with ambiguous ones are not detected', async () => {
+  assert.equal(await detectEncoding(archive(null)), null);
+
+  // Fully transparent tiles decode to nothing at all
+  const transparent = await encodePng(new Array(64).fill(null), 8, 8, 'terrarium');
+  assert.equal(await detectEncoding(archive(transparent)), null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clipLine, contourFeatureCollection, cropContoursToTile, joinLines, projectLonLat, unprojectPixel
+} from '../lib/geojson.js';
+
+test('lines are cut to the rectangle, each crossing a part', () => {
+  assert.deepEqual(clipLine([[-5, 5], [15, 5]], 0, 0, 10, 10), [[[0, 5], [10, 5]]]);
+  assert.deepEqual(clipLine([[2, 2], [8, 2]], 0, 0, 10, 10), [[[2, 2], [8, 2]]]);
+  assert.deepEqual(clipLine([[-5, -5], [-1, -1]], 0, 0, 10, 10), []);
+
+  // In, out and back in again
+  assert.deepEqual(clipLine([[5, 5], [15, 5], [15, 8], [5, 8]], 0, 0, 10, 10),
+    [[[5, 5], [10, 5]], [[10, 8], [5, 8]]]);
+});
+
+test('a ring cut open continues from its last part into its first', () => {
+  const ring = [[5, 5], [15, 5], [15, 8], [5, 8], [5, 5]];
+  assert.deepEqual(clipLine(ring, 0, 0, 10, 10), [[[10, 8], [5, 8], [5, 5], [10, 5]]]);
+});
+
+test('contours are cropped to the tile, dropping those outside it', () => {
+  const cropped = cropContoursToTile([
+    { value: 100, level: 0, coordinates: [[[-2, 4], [6, 4]]] },
+    { value: 200, level: 0, coordinates: [[[-2, -2], [-1, -1]]] }
+  ], 4, 4);
+  assert.deepEqual(cropped, [{ value: 100, level: 0, coordinates: [[[0, 4], [4, 4]]] }]);
+});
+
+test('pieces meeting end to start are joined, loops included', () => {
+  const joined = joinLines([
+    [[1, 0], [2, 0]],
+    [[0, 0], [1, 0]],
+    [[2, 0], [3, 0]],
+    [[5, 5], [6, 5], [6, 6]],
+    [[6, 6], [5, 5]]
+  ]);
+  assert.deepEqual(joined, [
+    [[0, 0], [1, 0], [2, 0], [3, 0]],
+    [[5, 5], [6, 5], [6, 6], [5, 5]]
+  ]);
+});
+
+test('world pixels and longitude/latitude convert both ways', () => {
+  assert.deepEqual(projectLonLat([0, 0], 0, 256), [128, 128]);
+  assert.deepEqual(unprojectPixel([128, 128], 0, 256), [0, 0]);
+
+  const [px, py] = projectLonLat([7.5, 46.25], 10, 512);
+  assert.deepEqual(unprojectPixel([px, py], 10, 512), [7.5, 46.25]);
+});
+
+test('contours become one MultiLineString feature per elevation', () => {
+  const collection = contourFeatureCollection(
+    [{ value: 1000, level: 1, lines: [[[0, 128], [256, 128]]] }], 0, 256, 'feet', [-180, -10, 180, 10]);
+
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.bbox, [-180, -10, 180, 10]);
+  assert.deepEqual(collection.features, [{
+    type: 'Feature',
+    properties: { ele: 1000, ele_m: 304.8, ele_ft: 1000, level: 1 },
+    geometry: { type: 'MultiLineString', coordinates: [[[-180, 0], [180, 0]]] }
+  }]);
+});
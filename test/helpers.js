@@ -0,0 +1,113 @@
+import { before, after } from 'node:test';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+import { zxyToTileId } from 'pmtiles';
+import { stitchTiles } from '../lib/contours.js';
+import { PMTilesWriter, COMPRESSION } from '../lib/pmtiles-writer.js';
+
+// Fixtures shared by the unit tests
+
+// A temporary directory for the tests of a file, removed after them.
+// Returns a function giving its path while the tests run.
+export function temporaryDirectory(prefix) {
+  let directory;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), `${prefix}-`));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+  return () => directory;
+}
+
+// Empty a directory and write files into it, { name: value } with values
+// written as JSON
+export async function writeJsonFiles(directory, files) {
+  await rm(directory, { recursive: true, force: true });
+  await mkdir(directory);
+  for (const [name, value] of Object.entries(files)) {
+    await writeFile(join(directory, name), JSON.stringify(value));
+  }
+}
+
+// RGBA pixels of elevations in meters, in the terrarium or mapbox encoding
+// (null for a transparent pixel)
+export function encodePixels(elevations, encoding) {
+  const pixels = new Uint8ClampedArray(elevations.length * 4);
+  elevations.forEach((elevation, i) => {
+    if (elevation === null) return;
+    const value = encoding === 'terrarium'
+      ? Math.round((elevation + 32768) * 256)
+      : Math.round((elevation + 10000) * 10);
+    pixels.set([(value >> 16) & 255, (value >> 8) & 255, value & 255, 255], i * 4);
+  });
+  return pixels;
+}
+
+// PNG DEM tile of width x height elevations, as an ArrayBuffer like archives return
+export async function encodePng(elevations, width, height, encoding) {
+  const pixels = Buffer.from(encodePixels(elevations, encoding).buffer);
+  const png = await sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  return png.buffer.slice(png.byteOffset, png.byteOffset + png.byteLength);
+}
+
+// PMTiles DEM archive with every tile of a zoom level, of size x size
+// elevations f(x, y) at the world pixels of that zoom level (or one elevation
+// everywhere). The encoding is in the metadata, so it is not detected.
+export async function writeDemArchive(path, f, { zoom = 0, size = 8, encoding = 'terrarium' } = {}) {
+  const elevation = typeof f === 'function' ? f : () => f;
+  const writer = new PMTilesWriter(path);
+  await writer.open();
+  for (let y = 0; y < 2 ** zoom; y++) {
+    for (let x = 0; x < 2 ** zoom; x++) {
+      const elevations = Array.from(grid(size, size, (px, py) => elevation(x * size + px, y * size + py)));
+      await writer.addTile(zxyToTileId(zoom, x, y), Buffer.from(await encodePng(elevations, size, size, encoding)));
+    }
+  }
+  await writer.finish({
+    tileType: 2, // png
+    tileCompression: COMPRESSION.none,
+    minZoom: zoom,
+    maxZoom: zoom,
+    minLon: -180,
+    minLat: -85.0511,
+    maxLon: 180,
+    maxLat: 85.0511,
+    centerZoom: zoom,
+    centerLon: 0,
+    centerLat: 0
+  }, { encoding });
+}
+
+// Grid of width x height values f(x, y), at pixel indices
+export function grid(width, height, f) {
+  const values = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      values[y * width + x] = f(x, y);
+    }
+  }
+  return values;
+}
+
+// Decoded DEM tile of size x size elevations f(x, y)
+export function demTile(size, f) {
+  return { data: grid(size, size, f), width: size, height: size };
+}
+
+// Positions of a tile's 3x3 neighbourhood, the tile itself at index 4
+export const NEIGHBOURHOOD = [];
+for (let dy = -1; dy <= 1; dy++) {
+  for (let dx = -1; dx <= 1; dx++) {
+    NEIGHBOURHOOD.push({ x: dx, y: dy });
+  }
+}
+
+// A 4x4 tile with one pixel of its neighbours (see stitchTiles), sampling
+// the elevations f(x, y) in pixels from the tile's top-left corner
+export function bufferedTile(f) {
+  const tiles = NEIGHBOURHOOD.map(({ x, y }) => ({ ...demTile(4, (px, py) => f(x * 4 + px, y * 4 + py)), x, y }));
+  return stitchTiles(tiles, NEIGHBOURHOOD, 1);
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderHillshade, parseHillshadeQuery, DEFAULT_HILLSHADE } from '../lib/hillshade.js';
+import { bufferedTile } from './helpers.js';
+
+// Tile row at the equator
+const Y = 2048;
+
+test('flat terrain is lit by the sine of the sun altitude', () => {
+  const grid = bufferedTile(() => 500);
+  for (const multidirectional of [false, true]) {
+    const pixels = renderHillshade(grid, 12, Y, { ...DEFAULT_HILLSHADE, multidirectional });
+    assert.equal(pixels.length, 4 * 4 * 4);
+    assert.deepEqual([...pixels.subarray(0, 4)], [180, 180, 180, 255]);
+  }
+});
+
+test('slopes facing the light are brighter than slopes facing away', () => {
+  // Rising to the east, so facing west
+  const grid = bufferedTile(x => x * 20);
+  const west = renderHillshade(grid, 12, Y, { ...DEFAULT_HILLSHADE, azimuth: 270, multidirectional: false });
+  const east = renderHillshade(grid, 12, Y, { ...DEFAULT_HILLSHADE, azimuth: 90, multidirectional: false });
+  assert.ok(west[0] > 180);
+  assert.ok(east[0] < 180);
+});
+
+test('colors blend from the shadow to the highlight color', () => {
+  const grid = bufferedTile(() => 0);
+  const pixels = renderHillshade(grid, 12, Y, {
+    ...DEFAULT_HILLSHADE, altitude: 90, shadowColor: '#00000000', highlightColor: '#ff800040'
+  });
+  assert.deepEqual([...pixels.subarray(0, 4)], [255, 128, 0, 64]);
+});
+
+test('query parameters are parsed and validated', () => {
+  assert.deepEqual(parseHillshadeQuery({ azimuth: '270', multidirectional: 'false', shadowColor: '#112233' }),
+    { azimuth: 270, multidirectional: false, shadowColor: '#112233' });
+  assert.deepEqual(parseHillshadeQuery({}), {});
+  assert.throws(() => parseHillshadeQuery({ altitude: '120' }), /option "altitude" must be a number from 0 to 90/);
+  assert.throws(() => parseHillshadeQuery({ multidirectional: 'yes' }), /"multidirectional" must be true or false/);
+  assert.throws(() => parseHillshadeQuery({ highlightColor: 'white' }), /"highlightColor" must be a #rrggbb/);
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdir, readdir } from 'fs/promises';
+import { dirname } from 'path';
+import { EtagMismatch } from 'pmtiles';
+import { HttpSource, BlockCache, RemoteSourceError } from '../lib/http-source.js';
+import { temporaryDirectory } from './helpers.js';
+
+// In-memory file served with range requests and a strong ETag, failing the
+// next failures requests with 503
+const file = { data: Buffer.alloc(0), etag: '"0"', failures: 0, requests: 0 };
+let server;
+let url;
+
+const directory = temporaryDirectory('http-source');
+
+function serve(data, etag) {
+  file.data = data;
+  file.etag = etag;
+}
+
+before(async () => {
+  server = createServer((req, res) => {
+    file.requests++;
+    if (file.failures > 0) {
+      file.failures--;
+      res.writeHead(503, { 'Retry-After': '0' });
+      return res.end();
+    }
+    if (req.headers['if-match'] && req.headers['if-match'] !== file.etag) {
+      res.writeHead(412);
+      return res.end();
+    }
+
+    const [, start, end] = /bytes=(\d+)-(\d+)/.exec(req.headers.range);
+    const last = Math.min(Number(end), file.data.length - 1);
+    res.writeHead(206, {
+      ETag: file.etag,
+      'Content-Range': `bytes ${start}-${last}/${file.data.length}`,
+      'Content-Length': last - Number(start) + 1
+    });
+    res.end(file.data.subarray(Number(start), last + 1));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/dem.pmtiles`;
+});
+
+after(() => {
+  server.close();
+});
+
+// A file with a PMTiles-like header: tile data from byte 200, 100 bytes long
+function pmtilesLike(fill) {
+  const data = Buffer.alloc(300, fill);
+  data.writeBigUInt64LE(200n, 56);
+  data.writeBigUInt64LE(100n, 64);
+  return data;
+}
+
+test('the header read sets the version, later ranges are checked against it', async () => {
+  serve(pmtilesLike(1), '"a"');
+  const source = new HttpSource(url, { retries: 0 });
+  assert.equal(source.getVersion(), null);
+
+  await source.getBytes(0, 127);
+  assert.equal(source.getVersion(), '"a"');
+
+  const { data } = await source.getBytes(210, 10);
+  assert.deepEqual([...new Uint8Array(data)], new Array(10).fill(1));
+
+  serve(pmtilesLike(2), '"b"');
+  await assert.rejects(source.getBytes(210, 10), EtagMismatch);
+});
+
+test('onChange is called when a header read finds the file replaced', async () => {
+  serve(pmtilesLike(1), '"a"');
+  let changes = 0;
+  const source = new HttpSource(url, { retries: 0, onChange: () => changes++ });
+
+  await source.getBytes(0, 127);
+  await source.getBytes(0, 127);
+  assert.equal(changes, 0);
+
+  serve(pmtilesLike(2), '"b"');
+  await source.getBytes(0, 127);
+  assert.equal(changes, 1);
+  assert.equal(source.getVersion(), '"b"');
+});
+
+test('failed requests are retried', async () => {
+  serve(pmtilesLike(1), '"a"');
+  const source = new HttpSource(url, { retries: 2, retryDelay: 1 });
+  file.failures = 2;
+  await source.getBytes(0, 127);
+  assert.equal(source.getVersion(), '"a"');
+
+  file.failures = 3;
+  await assert.rejects(source.getBytes(0, 127), error => error instanceof RemoteSourceError && /503/.test(error.message));
+  file.failures = 0;
+});
+
+test('ranges outside the tile data come from the block cache', async () => {
+  serve(pmtilesLike(1), '"a"');
+  const source = new HttpSource(url, { retries: 0, blockCache: new BlockCache({ maxBytes: 1024 * 1024 }) });
+  await source.getBytes(0, 127);
+
+  const requests = file.requests;
+  await source.getBytes(127, 50);
+  await source.getBytes(127, 50);
+  assert.equal(file.requests, requests + 1);
+
+  await source.getBytes(210, 10);
+  await source.getBytes(210, 10);
+  assert.equal(file.requests, requests + 3);
+});
+
+test('concurrent disk writes of a block each use their own temporary file', async () => {
+  const cache = new BlockCache({ maxBytes: 1024 * 1024, directory: directory() });
+  const blocks = [1, 2, 3, 4].map(fill => new Uint8Array(64 * 1024).fill(fill).buffer);
+
+  await Promise.all(blocks.map(block => new BlockCache({ maxBytes: 0, directory: directory() })
+    .set(url, '"a"', 127, block.byteLength, block)));
+  const stored = new Uint8Array(await cache.get(url, '"a"', 127, 64 * 1024));
+  assert.ok([1, 2, 3, 4].includes(stored[0]) && stored.every(value => value === stored[0]));
+  assert.deepEqual(await readdir(dirname(cache.pathFor(url, '"a"', 127, 64 * 1024))), [`127-${64 * 1024}`]);
+});
+
+test('a failed disk write of a block is logged and leaves no temporary file', async () => {
+  const cache = new BlockCache({ maxBytes: 1024 * 1024, directory: directory() });
+
+  // A directory in the block's place makes the rename fail
+  const path = cache.pathFor(url, '"b"', 127, 10);
+  await mkdir(`${path}/child`, { recursive: true });
+
+  const block = new Uint8Array(10).buffer;
+  await cache.set(url, '"b"', 127, 10, block);
+  assert.equal(await cache.get(url, '"b"', 127, 10), block);
+  assert.deepEqual(await readdir(dirname(path)), ['127-10']);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateIsolines } from '../lib/isolines.js';
+import { grid } from './helpers.js';
+
+// Bilinear value of a grid at a point in isoline coordinates (pixel centers at i + 0.5),
+// extrapolated linearly just outside the grid
+function valueAt(values, width, [px, py]) {
+  const height = values.length / width;
+  const x = px - 0.5;
+  const y = py - 0.5;
+  const i = Math.max(0, Math.min(Math.floor(x), width - 2));
+  const j = Math.max(0, Math.min(Math.floor(y), height - 2));
+  const fx = x - i;
+  const fy = y - j;
+  const at = (a, b) => values[b * width + a];
+  return at(i, j) * (1 - fx) * (1 - fy) + at(i + 1, j) * fx * (1 - fy) +
+    at(i, j + 1) * (1 - fx) * fy + at(i + 1, j + 1) * fx * fy;
+}
+
+// Ground to the right of a line's longest segment (y pointing down) is
+// higher than ground to its left
+function assertHigherOnRight(values, width, line) {
+  let segment = 1;
+  const segmentLength = i => Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+  for (let i = 2; i < line.length; i++) {
+    if (segmentLength(i) > segmentLength(segment)) segment = i;
+  }
+  const [x0, y0] = line[segment - 1];
+  const [x1, y1] = line[segment];
+  const length = segmentLength(segment);
+  const midpoint = [(x0 + x1) / 2, (y0 + y1) / 2];
+  const right = [-(y1 - y0) / length * 0.05, (x1 - x0) / length * 0.05];
+  const rightValue = valueAt(values, width, [midpoint[0] + right[0], midpoint[1] + right[1]]);
+  const leftValue = valueAt(values, width, [midpoint[0] - right[0], midpoint[1] - right[1]]);
+  assert.ok(rightValue > leftValue, `expected higher ground right of ${JSON.stringify([line[segment - 1], line[segment]])}`);
+}
+
+test('a slope gives one open line per threshold', () => {
+  const values = grid(8, 6, x => x * 10);
+  const isolines = generateIsolines(values, 8, 6, 20);
+
+  assert.deepEqual([...isolines.keys()], [0, 20, 40, 60]);
+  for (const [threshold, lines] of isolines) {
+    if (threshold === 0) continue; // only the grid's first column is at 0
+    assert.equal(lines.length, 1);
+    const line = lines[0];
+    assert.equal(line.length, 6);
+    for (const [x] of line) {
+      assert.equal(x, threshold / 10 + 0.5);
+    }
+  }
+});
+
+test('lines are oriented with higher ground on the right', () => {
+  const width = 12;
+  const height = 10;
+  // Offset so no pixel is exactly at a threshold
+  for (const f of [(x, y) => x * 7 + y * 3, (x, y) => -x * 5 + y, (x, y) => y * 4 - x * x * 0.5]) {
+    const values = grid(width, height, (x, y) => f(x, y) + 0.25);
+    for (const lines of generateIsolines(values, width, height, 10).values()) {
+      for (const line of lines) {
+        assertHigherOnRight(values, width, line);
+      }
+    }
+  }
+});
+
+test('a peak gives closed loops, clockwise in pixel coordinates', () => {
+  const width = 21;
+  const height = 21;
+  const values = grid(width, height, (x, y) => 100 - Math.hypot(x - 10, y - 10) * 10);
+  const isolines = generateIsolines(values, width, height, 25);
+
+  for (const threshold of [25, 50, 75]) {
+    const lines = isolines.get(threshold);
+    assert.equal(lines.length, 1);
+    const loop = lines[0];
+    assert.deepEqual(loop[0], loop[loop.length - 1]);
+
+    // Higher ground on the right of a loop around a summit means clockwise
+    // with y down, a positive surveyor's sum
+    let sum = 0;
+    for (let i = 1; i < loop.length; i++) {
+      sum += loop[i - 1][0] * loop[i][1] - loop[i][0] * loop[i - 1][1];
+    }
+    assert.ok(sum > 0);
+    assertHigherOnRight(values, width, loop);
+  }
+});
+
+test('segments of a winding contour are stitched into one line', () => {
+  const width = 30;
+  const height = 30;
+  const values = grid(width, height, (x, y) => x + 6 * Math.sin(y / 3));
+  const isolines = generateIsolines(values, width, height, 10);
+
+  for (const [threshold, lines] of isolines) {
+    if (threshold < 10 || threshold > 20) continue;
+    assert.equal(lines.length, 1, `threshold ${threshold} is one line`);
+    const line = lines[0];
+    // Higher ground to the east: lines run north, from the bottom row to the top
+    assert.equal(line[0][1], height - 0.5);
+    assert.equal(line[line.length - 1][1], 0.5);
+    for (let i = 1; i < line.length; i++) {
+      assert.ok(Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]) <= Math.SQRT2 + 1e-9);
+    }
+  }
+});
+
+test('saddles keep lines apart and oriented', () => {
+  const values = Float32Array.from([
+    0, 10,
+    10, 0
+  ]);
+  const lines = generateIsolines(values, 2, 2, 5).get(5);
+  assert.equal(lines.length, 2);
+  for (const line of lines) {
+    assertHigherOnRight(values, 2, line);
+  }
+});
+
+test('cells with a nodata corner have no contours', () => {
+  const values = grid(6, 4, x => x * 10);
+  values[2 * 6 + 3] = NaN;
+  const lines = generateIsolines(values, 6, 4, 30).get(30);
+  const points = lines.flat();
+  assert.ok(points.length > 0);
+  for (const [x, y] of points) {
+    assert.ok(!(x > 2.5 && x < 4.5 && y > 1.5 && y < 3.5), `point ${x},${y} is in a cell next to nodata`);
+  }
+});
+
+test('thresholds are limited to minValue and maxValue', () => {
+  const values = grid(10, 4, x => x * 10 - 45);
+  assert.deepEqual([...generateIsolines(values, 10, 4, 10).keys()], [-40, -30, -20, -10, 0, 10, 20, 30, 40]);
+  assert.deepEqual([...generateIsolines(values, 10, 4, 10, 0).keys()], [0, 10, 20, 30, 40]);
+  assert.deepEqual([...generateIsolines(values, 10, 4, 10, -Infinity, -10).keys()], [-40, -30, -20, -10]);
+});
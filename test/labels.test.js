@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { placeContourLabels } from '../lib/labels.js';
+
+// A major contour running east along y = 128, so higher ground is south
+const eastward = { value: 500, level: 1, coordinates: [[[0, 128], [256, 128]]] };
+
+test('anchors are spaced along straight stretches of major contours', () => {
+  const labels = placeContourLabels([eastward], 256, 256, 100);
+  assert.deepEqual(labels.map(label => [label.x, label.y]), [[20, 128], [120, 128], [220, 128]]);
+  for (const label of labels) {
+    assert.equal(label.ele, 500);
+    assert.equal(label.level, 1);
+  }
+});
+
+test('text reads against the line, with its top uphill', () => {
+  // Higher ground south: the text is upside down
+  assert.equal(placeContourLabels([eastward], 256, 256, 100)[0].rotation, 180);
+
+  // A line running north has higher ground east: the text reads downwards
+  const northward = { value: 500, level: 1, coordinates: [[[128, 256], [128, 0]]] };
+  assert.equal(placeContourLabels([northward], 256, 256, 100)[0].rotation, 90);
+});
+
+test('minor contours, bends and lines leaving the tile get no labels', () => {
+  assert.deepEqual(placeContourLabels([{ ...eastward, level: 0 }], 256, 256, 100), []);
+
+  const zigzag = [];
+  for (let x = 0; x <= 256; x += 8) zigzag.push([x, 128 + (x % 16 === 0 ? 4 : -4)]);
+  assert.deepEqual(placeContourLabels([{ ...eastward, coordinates: [zigzag] }], 256, 256, 100), []);
+
+  const outside = { ...eastward, coordinates: [[[0, -10], [256, -10]]] };
+  assert.deepEqual(placeContourLabels([outside], 256, 256, 100), []);
+});
+
+test('distances are in pixels of a 256 pixel tile', () => {
+  const doubled = { ...eastward, coordinates: [[[0, 256], [512, 256]]] };
+  const labels = placeContourLabels([doubled], 512, 512, 100);
+  assert.deepEqual(labels.map(label => label.x), [40, 240, 440]);
+});
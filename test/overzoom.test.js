@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stitchTiles } from '../lib/contours.js';
+import { resampleTile, OVERZOOM_BUFFER } from '../lib/overzoom.js';
+import { demTile, NEIGHBOURHOOD } from './helpers.js';
+
+// Neighbourhood of 4x4 tiles sampling one plane, 10 m per pixel eastwards
+// and 1 m per pixel southwards across tile boundaries
+function plane() {
+  return NEIGHBOURHOOD.map(({ x, y }) => ({
+    ...demTile(4, (px, py) => (x * 4 + px) * 10 + (y * 4 + py)),
+    x,
+    y
+  }));
+}
+
+test('overzoomed tiles of a plane interpolate it exactly', () => {
+  const grid = stitchTiles(plane(), NEIGHBOURHOOD, OVERZOOM_BUFFER);
+
+  for (const method of ['bilinear', 'bicubic']) {
+    // The bottom-right quarter of the ancestor at one zoom level more:
+    // pixel i covers ancestor pixel 2 + (i + 0.5) / 2 - 0.5
+    const tile = resampleTile(grid, 1, 1, 1, method);
+    assert.equal(tile.length, 16);
+    for (let j = 0; j < 4; j++) {
+      for (let i = 0; i < 4; i++) {
+        const x = 2 + (i + 0.5) / 2 - 0.5;
+        const y = 2 + (j + 0.5) / 2 - 0.5;
+        assert.ok(Math.abs(tile[j * 4 + i] - (x * 10 + y)) < 1e-4, `${method} pixel ${i},${j}`);
+      }
+    }
+  }
+});
+
+test('resampling across the ancestor edge reads its neighbours', () => {
+  const grid = stitchTiles(plane(), NEIGHBOURHOOD, OVERZOOM_BUFFER);
+
+  // The top-left pixel at two zoom levels more lies before the ancestor's
+  // first pixel center, between it and the neighbours
+  const tile = resampleTile(grid, 2, 0, 0, 'bilinear');
+  assert.ok(Math.abs(tile[0] - (-0.375 * 10 - 0.375)) < 1e-4);
+});
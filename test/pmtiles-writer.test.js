@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { zxyToTileId, tileIdToZxy } from 'pmtiles';
+import { PMTilesWriter, COMPRESSION, TILE_TYPE } from '../lib/pmtiles-writer.js';
+import { PMTilesArchive } from '../lib/archives.js';
+import { temporaryDirectory } from './helpers.js';
+
+const HEADER = {
+  tileType: TILE_TYPE.mvt,
+  tileCompression: COMPRESSION.none,
+  minZoom: 0,
+  maxZoom: 14,
+  minLon: 5.9,
+  minLat: 45.8,
+  maxLon: 10.5,
+  maxLat: 47.8,
+  centerZoom: 8,
+  centerLon: 8.2,
+  centerLat: 46.8
+};
+
+const directory = temporaryDirectory('pmtiles-writer');
+
+// Read back tiles and the header and metadata of an archive
+async function readArchive(path, tiles) {
+  const archive = new PMTilesArchive(path);
+  try {
+    const header = await archive.getHeader();
+    const metadata = await archive.getMetadata();
+    const data = [];
+    for (const [z, x, y] of tiles) {
+      const tile = await archive.getTile(z, x, y);
+      data.push(tile ? Buffer.from(tile).toString() : null);
+    }
+    return { header, metadata, data };
+  } finally {
+    await archive.close();
+  }
+}
+
+test('tiles added in any order read back from the archive', async () => {
+  const path = join(directory(), 'round-trip.pmtiles');
+  const writer = new PMTilesWriter(path);
+  assert.equal(await writer.open(), 0);
+
+  const tiles = [[3, 4, 2], [0, 0, 0], [1, 1, 0], [3, 4, 3], [2, 1, 1]];
+  for (const [z, x, y] of tiles) {
+    await writer.addTile(zxyToTileId(z, x, y), Buffer.from(`tile ${z}/${x}/${y}`));
+  }
+  await writer.addTile(zxyToTileId(2, 3, 3), Buffer.alloc(0));
+
+  const result = await writer.finish(HEADER, { name: 'contours', vector_layers: [] });
+  assert.equal(result.tiles, 5);
+  assert.equal(result.contents, 5);
+
+  const { header, metadata, data } = await readArchive(path, [...tiles, [2, 3, 3], [5, 0, 0]]);
+  assert.deepEqual(data, [...tiles.map(([z, x, y]) => `tile ${z}/${x}/${y}`), null, null]);
+  assert.deepEqual(metadata, { name: 'contours', vector_layers: [] });
+  assert.equal(header.numAddressedTiles, 5);
+  assert.equal(header.minZoom, 0);
+  assert.equal(header.maxZoom, 14);
+  assert.equal(header.tileType, TILE_TYPE.mvt);
+  assert.ok(Math.abs(header.minLon - 5.9) < 1e-6);
+  assert.ok(Math.abs(header.centerLat - 46.8) < 1e-6);
+  assert.equal(header.clustered, true);
+
+  // Only the archive is left
+  assert.deepEqual(await readdir(directory()), ['round-trip.pmtiles']);
+  await rm(path);
+});
+
+test('identical tiles are stored once, consecutive ones as a run', async () => {
+  const path = join(directory(), 'dedup.pmtiles');
+  const writer = new PMTilesWriter(path);
+  await writer.open();
+
+  const ocean = Buffer.from('ocean');
+  for (let x = 0; x < 8; x++) {
+    await writer.addTile(zxyToTileId(3, x, 0), ocean);
+  }
+  await writer.addTile(zxyToTileId(3, 2, 5), ocean);
+  await writer.addTile(zxyToTileId(3, 3, 5), Buffer.from('land'));
+
+  const result = await writer.finish(HEADER, {});
+  assert.equal(result.tiles, 10);
+  assert.equal(result.contents, 2);
+
+  const { header, data } = await readArchive(path, [[3, 0, 0], [3, 7, 0], [3, 2, 5], [3, 3, 5]]);
+  assert.deepEqual(data, ['ocean', 'ocean', 'ocean', 'land']);
+  assert.equal(header.numTileContents, 2);
+  assert.ok(header.numTileEntries < 10);
+  await rm(path);
+});
+
+test('archives with too many entries for the root directory use leaf directories', async () => {
+  const path = join(directory(), 'leaves.pmtiles');
+  const writer = new PMTilesWriter(path);
+  await writer.open();
+
+  // Distinct contents at irregular tile ids, so no entries merge and the
+  // directory does not compress into the root
+  const count = 20000;
+  const ids = [];
+  let seed = 1;
+  for (let i = 0, tileId = 0; i < count; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    tileId += 2 + seed % 500;
+    ids.push(tileId);
+    writer.addTile(tileId, Buffer.from('x'.repeat(seed % 7) + i));
+  }
+  await writer.finish({ ...HEADER, minZoom: 0, maxZoom: 12 }, {});
+
+  const archive = new PMTilesArchive(path);
+  try {
+    const header = await archive.getHeader();
+    assert.ok(header.leafDirectoryLength > 0);
+    assert.equal(header.numAddressedTiles, count);
+
+    for (const i of [0, 1, 4096, 12345, count - 1]) {
+      const tile = await archive.getTile(...tileIdToZxy(ids[i]));
+      assert.match(Buffer.from(tile).toString(), new RegExp(`^x*${i}$`));
+    }
+    assert.equal(await archive.getTile(...tileIdToZxy(ids[5] + 1)), null);
+  } finally {
+    await archive.close();
+  }
+  await rm(path);
+});
+
+test('an interrupted render resumes with the tiles already written', async () => {
+  const path = join(directory(), 'resume.pmtiles');
+  const params = { thresholds: '0*10*50', units: 'meters' };
+
+  const first = new PMTilesWriter(path);
+  await first.open({ params });
+  await first.addTile(zxyToTileId(1, 0, 0), Buffer.from('a'));
+  await first.addTile(zxyToTileId(1, 1, 0), Buffer.alloc(0));
+  await first.close();
+
+  // A record cut off halfway, as by a crash while writing
+  await appendFile(`${path}.partial`, Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 0, 0, 0, 42]));
+
+  const second = new PMTilesWriter(path);
+  assert.equal(await second.open({ resume: true, params }), 2);
+  assert.ok(second.has(zxyToTileId(1, 0, 0)));
+  assert.ok(second.has(zxyToTileId(1, 1, 0)));
+  assert.ok(!second.has(zxyToTileId(1, 0, 1)));
+  await second.addTile(zxyToTileId(1, 0, 1), Buffer.from('b'));
+
+  const result = await second.finish(HEADER, {});
+  assert.equal(result.tiles, 2);
+
+  const { data } = await readArchive(path, [[1, 0, 0], [1, 1, 0], [1, 0, 1]]);
+  assert.deepEqual(data, ['a', null, 'b']);
+  await rm(path);
+});
+
+test('resuming with other parameters fails, starting over discards the partial file', async () => {
+  const path = join(directory(), 'params.pmtiles');
+
+  const first = new PMTilesWriter(path);
+  await first.open({ params: { units: 'meters' } });
+  await first.addTile(zxyToTileId(0, 0, 0), Buffer.from('meters'));
+  await first.close();
+
+  await assert.rejects(new PMTilesWriter(path).open({ resume: true, params: { units: 'feet' } }),
+    /written with different parameters/);
+
+  const again = new PMTilesWriter(path);
+  assert.equal(await again.open({ params: { units: 'feet' } }), 0);
+  await again.addTile(zxyToTileId(0, 0, 0), Buffer.from('feet'));
+  await again.finish(HEADER, {});
+
+  const { data } = await readArchive(path, [[0, 0, 0]]);
+  assert.deepEqual(data, ['feet']);
+  await rm(path);
+});
+
+test('resuming without a partial file starts a new one', async () => {
+  const path = join(directory(), 'fresh.pmtiles');
+  const writer = new PMTilesWriter(path);
+  assert.equal(await writer.open({ resume: true, params: {} }), 0);
+  await writer.close();
+  await rm(`${path}.partial`);
+  await rm(`${path}.partial.json`);
+});
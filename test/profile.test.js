@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  haversineDistance, decodePolyline, parseProfileLine, lineLength, sampleCount, densifyLine, profileStats
+} from '../lib/profile.js';
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, message ?? `${actual} is not ${expected}`);
+
+test('distances are great-circle meters', () => {
+  // One degree of latitude, and of longitude at 60 degrees north
+  close(haversineDistance([8, 46], [8, 47]), 111195, 1);
+  close(haversineDistance([8, 60], [9, 60]), 55597, 1);
+  close(lineLength([[8, 46], [8, 47], [8, 46]]), 2 * 111195, 2);
+});
+
+test('encoded polylines decode to longitude/latitude points', () => {
+  // The example of Google's polyline algorithm documentation
+  const points = decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  assert.deepEqual(points, [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]);
+
+  // The same line at precision 6
+  assert.deepEqual(decodePolyline('_izlhA~rlgdF_{geC~ywl@_kwzCn`{nI', 6), points);
+
+  assert.throws(() => decodePolyline('_p~iF~ps|U_'), /unexpected end of string/);
+  assert.throws(() => decodePolyline('_p~iF ps|U'), /unexpected character at position 5/);
+});
+
+test('profile lines are read from GeoJSON or a polyline', () => {
+  const line = [[8, 46], [8.1, 46.1]];
+  assert.deepEqual(parseProfileLine({ type: 'LineString', coordinates: line }), line);
+  assert.deepEqual(parseProfileLine({ type: 'Feature', geometry: { type: 'LineString', coordinates: line } }), line);
+  assert.deepEqual(parseProfileLine({ polyline: '_p~iF~ps|U_ulLnnqC' }), [[-120.2, 38.5], [-120.95, 40.7]]);
+
+  // Elevations of 3D coordinates are dropped
+  assert.deepEqual(parseProfileLine({ type: 'LineString', coordinates: [[8, 46, 500], [8.1, 46.1, 600]] }), line);
+
+  assert.throws(() => parseProfileLine({ type: 'Point', coordinates: [8, 46] }), /must be a GeoJSON LineString/);
+  assert.throws(() => parseProfileLine({ type: 'LineString', coordinates: [[8, 46]] }), /at least 2 vertices/);
+  assert.throws(() => parseProfileLine({ type: 'LineString', coordinates: [[8, 46], [8, 91]] }), /Invalid vertex 1: latitude/);
+  assert.throws(() => parseProfileLine({ polyline: '_p~iF~ps|U_ulLnnqC', precision: 9 }), /"precision" must be an integer/);
+});
+
+test('lines are densified to equal parts no longer than the spacing', () => {
+  const line = [[8, 46], [8, 46.01], [8.01, 46.01]];
+  const first = haversineDistance(line[0], line[1]);
+  const second = haversineDistance(line[1], line[2]);
+
+  const samples = densifyLine(line, 300);
+  assert.equal(samples.length, 1 + Math.ceil(first / 300) + Math.ceil(second / 300));
+  assert.deepEqual(samples[0], { point: [8, 46], distance: 0 });
+
+  // Every vertex is kept, at its distance along the line
+  const vertex = samples.find(sample => sample.point[0] === 8 && sample.point[1] === 46.01);
+  close(vertex.distance, first, 1e-6);
+  close(samples[samples.length - 1].distance, first + second, 1e-6);
+
+  for (let i = 1; i < samples.length; i++) {
+    assert.ok(samples[i].distance - samples[i - 1].distance <= 300);
+  }
+
+  // Segments shorter than the spacing are not split
+  assert.equal(densifyLine(line, 10000).length, 3);
+});
+
+test('samples are counted without densifying the line', () => {
+  const line = [[8, 46], [8, 46.01], [8.01, 46.01], [8.01, 46.01]];
+  for (const spacing of [1, 30, 300, 10000]) {
+    assert.equal(sampleCount(line, spacing), densifyLine(line, spacing).length);
+  }
+
+  // A spacing that would need billions of samples is only counted
+  assert.ok(sampleCount([[0, 0], [90, 0]], 1e-3) > 1e9);
+});
+
+test('profile statistics skip points without data', () => {
+  assert.deepEqual(profileStats([100, 150, null, 120, 180, 170]), { ascent: 110, descent: 40, min: 100, max: 180 });
+  assert.deepEqual(profileStats([null, null]), { ascent: 0, descent: 0, min: null, max: null });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyLine, smoothLine, simplifyContours } from '../lib/simplify.js';
+
+test('points within the tolerance of a line are dropped, end points kept', () => {
+  const line = [[0, 0], [1, 0.1], [2, -0.1], [3, 0], [4, 2], [5, 0]];
+  assert.deepEqual(simplifyLine(line, 0.5), [[0, 0], [3, 0], [4, 2], [5, 0]]);
+  assert.deepEqual(simplifyLine(line, 5), [[0, 0], [5, 0]]);
+  assert.equal(simplifyLine(line, 0), line);
+});
+
+test('smoothing keeps the ends of open lines and closes loops', () => {
+  const open = smoothLine([[0, 0], [4, 0], [4, 4]], 1);
+  assert.deepEqual(open, [[0, 0], [1, 0], [3, 0], [4, 1], [4, 3], [4, 4]]);
+
+  const loop = smoothLine([[0, 0], [4, 0], [4, 4], [0, 0]], 2);
+  assert.deepEqual(loop[0], loop[loop.length - 1]);
+  assert.ok(loop.length > 4);
+});
+
+test('the tolerance is in pixels of a 256 pixel tile', () => {
+  const features = [{ value: 100, level: 0, coordinates: [[[0, 0], [256, 1.5], [512, 0]]] }];
+
+  const at256 = simplifyContours(features, 1, 0, 256);
+  assert.equal(at256.features[0].coordinates[0].length, 3);
+
+  // 1 pixel of a 256 pixel tile is 2 pixels of a 512 pixel DEM tile
+  const at512 = simplifyContours(features, 1, 0, 512);
+  assert.equal(at512.features[0].coordinates[0].length, 2);
+  assert.equal(at512.before, 3);
+  assert.equal(at512.after, 2);
+  assert.equal(at512.features[0].value, 100);
+});
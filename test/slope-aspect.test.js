@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pixelGroundResolution } from '../lib/contours.js';
+import { renderSlope, renderAspect, validateRamp, DEFAULT_SLOPE_RAMP, DEFAULT_ASPECT_RAMP } from '../lib/slope-aspect.js';
+import { bufferedTile } from './helpers.js';
+
+// Tile row at the equator, and the ground size of its pixels
+const Y = 2048;
+const RESOLUTION = pixelGroundResolution(12, Y, 2, 4);
+
+// Terrain rising at an angle in degrees towards an azimuth (clockwise from north)
+function inclined(angle, azimuth) {
+  const rise = Math.tan(angle * Math.PI / 180) * RESOLUTION;
+  const east = Math.sin(azimuth * Math.PI / 180);
+  const south = -Math.cos(azimuth * Math.PI / 180);
+  return bufferedTile((x, y) => (x * east + y * south) * rise);
+}
+
+const color = (pixels, i = 5) => [...pixels.subarray(i * 4, i * 4 + 4)];
+
+test('slopes take the colour of the highest ramp bound at or below their angle', () => {
+  assert.deepEqual(color(renderSlope(inclined(37, 90), 12, Y, DEFAULT_SLOPE_RAMP)), [0xf2, 0x91, 0x00, 0xcc]);
+  assert.deepEqual(color(renderSlope(inclined(50, 0), 12, Y, DEFAULT_SLOPE_RAMP)), [0x9b, 0x1f, 0x8c, 0xcc]);
+  // Below the lowest bound
+  assert.deepEqual(color(renderSlope(inclined(20, 0), 12, Y, DEFAULT_SLOPE_RAMP)), [0, 0, 0, 0]);
+});
+
+test('aspect is the direction a slope faces, flat ground is transparent', () => {
+  // Rising to the east faces west, rising to the north faces south
+  assert.deepEqual(color(renderAspect(inclined(30, 90), 12, Y, DEFAULT_ASPECT_RAMP)), [0xa6, 0x4d, 0x79, 0xcc]);
+  assert.deepEqual(color(renderAspect(inclined(30, 0), 12, Y, DEFAULT_ASPECT_RAMP)), [0xe6, 0x91, 0x38, 0xcc]);
+  assert.deepEqual(color(renderAspect(inclined(0.5, 0), 12, Y, DEFAULT_ASPECT_RAMP)), [0, 0, 0, 0]);
+});
+
+test('ramps are validated', () => {
+  assert.equal(validateRamp({ 0: '#ffffff', 30.5: '#ff000080' }), true);
+  for (const ramp of [{}, [], null, { steep: '#ffffff' }, { 30: 'red' }]) {
+    assert.match(validateRamp(ramp), /must be an object mapping degrees/);
+  }
+});
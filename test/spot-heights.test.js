@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSpotHeights } from '../lib/spot-heights.js';
+import { grid } from './helpers.js';
+
+// Two cones on a 21x23 grid: 1000 m at (5, 11) and 800 m at (14, 11),
+// meeting at a col of 720 m at (12, 11)
+function twoPeaks(buffer = 0) {
+  const width = 21;
+  const height = 23;
+  const data = grid(width, height, (x, y) => Math.max(
+    1000 - 40 * Math.hypot(x - 5, y - 11),
+    800 - 40 * Math.hypot(x - 14, y - 11)
+  ));
+  return { data, width, height, tileWidth: width - 2 * buffer, tileHeight: height - 2 * buffer, buffer };
+}
+
+test('summits are ranked by their height above the highest col to higher ground', () => {
+  const grid = twoPeaks();
+  const minEle = Math.min(...grid.data);
+  const points = findSpotHeights(grid, 'meters', 0, 10);
+
+  assert.equal(points.length, 2);
+  assert.deepEqual(points[0], { x: 5.5, y: 11.5, ele: 1000, prominence: 1000 - minEle });
+  assert.deepEqual(points[1], { x: 14.5, y: 11.5, ele: 800, prominence: 80 });
+});
+
+test('summits below the minimum prominence or beyond the limit are dropped', () => {
+  assert.deepEqual(findSpotHeights(twoPeaks(), 'meters', 100, 10).map(point => point.ele), [1000]);
+  assert.deepEqual(findSpotHeights(twoPeaks(), 'meters', 0, 1).map(point => point.ele), [1000]);
+});
+
+test('elevations and prominences are in the requested units', () => {
+  const [, point] = findSpotHeights(twoPeaks(), 'feet', 0, 10);
+  assert.ok(Math.abs(point.ele - 800 * 3.28084) < 0.01);
+  assert.ok(Math.abs(point.prominence - 80 * 3.28084) < 0.01);
+});
+
+test('summits in the buffer around the tile are left out', () => {
+  // With 6 pixels of buffer the tile is x 6 to 14: only the second summit
+  const points = findSpotHeights(twoPeaks(6), 'meters', 0, 10);
+  assert.deepEqual(points.map(point => [point.x, point.y, point.ele]), [[8.5, 5.5, 800]]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateThresholds, parseThresholds, formatThresholds, smallestInterval, valueForZoom, levelsForZoom
+} from '../lib/thresholds.js';
+
+test('the maplibre-contour URL form parses into a zoom table', () => {
+  assert.deepEqual(parseThresholds('11*200*1000~14*50*200'), { 11: [200, 1000], 14: [50, 200] });
+  assert.deepEqual(parseThresholds('0*10'), { 0: [10] });
+  assert.deepEqual(parseThresholds('12*2.5*10'), { 12: [2.5, 10] });
+});
+
+test('invalid URL thresholds are rejected', () => {
+  for (const text of ['', '11', '11*', 'x*10', '11*-5', '11*0', '11*ten', '11*10~', '-1*10',
+    '11*100*20', '11*20*20', '14*50~11*200', '11*50~11*200']) {
+    assert.throws(() => parseThresholds(text), /^Error: Invalid thresholds/, JSON.stringify(text));
+  }
+});
+
+test('thresholds format back to the URL form', () => {
+  const text = '11*200*1000~14*50*200';
+  assert.equal(formatThresholds(parseThresholds(text)), text);
+  assert.equal(formatThresholds({ 0: [10, 50] }), '0*10*50');
+});
+
+test('thresholds objects are validated', () => {
+  assert.equal(validateThresholds({ 0: [10, 50], 12: [5] }), true);
+  assert.match(validateThresholds([10, 50]), /must be an object/);
+  assert.match(validateThresholds(null), /must be an object/);
+  assert.match(validateThresholds({}), /at least one zoom level/);
+  assert.match(validateThresholds({ low: [10] }), /invalid zoom level "low"/);
+  assert.match(validateThresholds({ 10: [] }), /zoom 10/);
+  assert.match(validateThresholds({ 10: ['10'] }), /zoom 10/);
+  assert.match(validateThresholds({ 10: [50, 10] }), /intervals of zoom 10 in ascending order/);
+});
+
+test('the smallest interval is found across zoom levels', () => {
+  assert.equal(smallestInterval({ 11: [200, 1000], 14: [50, 200] }), 50);
+  assert.equal(smallestInterval({ 0: [2.5] }), 2.5);
+});
+
+test('zoom tables apply from their zoom up to the next one', () => {
+  const thresholds = { 11: [200, 1000], 12: [100, 500], 14: [50, 200] };
+  assert.deepEqual(levelsForZoom(thresholds, 10), []);
+  assert.deepEqual(levelsForZoom(thresholds, 11), [200, 1000]);
+  assert.deepEqual(levelsForZoom(thresholds, 13), [100, 500]);
+  assert.deepEqual(levelsForZoom(thresholds, 18), [50, 200]);
+
+  assert.equal(valueForZoom({ 0: 1, 12: 0.5 }, 11, null), 1);
+  assert.equal(valueForZoom({ 12: 0.5 }, 11, 7), 7);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, readdir } from 'fs/promises';
+import { join } from 'path';
+import { tileCacheKey, TileCache, MemoryTileStore, DiskTileStore } from '../lib/tile-cache.js';
+import { temporaryDirectory } from './helpers.js';
+
+const directory = temporaryDirectory('tile-cache');
+
+test('cache keys differ by version, parameters and format', () => {
+  const params = { levels: [10, 50], units: 'meters' };
+  const key = tileCacheKey('dem', 'v1', 12, 2048, 1360, params);
+
+  assert.match(key, /^dem\/v1\/[0-9a-f]{12}\/12\/2048\/1360\.mvt$/);
+  assert.equal(tileCacheKey('dem', 'v1', 12, 2048, 1360, { ...params }), key);
+  assert.notEqual(tileCacheKey('dem', 'v2', 12, 2048, 1360, params), key);
+  assert.notEqual(tileCacheKey('dem', 'v1', 12, 2048, 1360, { ...params, units: 'feet' }), key);
+  assert.notEqual(tileCacheKey('dem', 'v1', 12, 2048, 1360, params, 'png'), key);
+});
+
+test('a new source version drops tiles of the old one from every store', async () => {
+  const disk = new DiskTileStore(directory());
+  const cache = new TileCache([new MemoryTileStore(1024 * 1024), disk]);
+
+  await cache.setVersion('dem', 'v1');
+  const oldKey = tileCacheKey('dem', 'v1', 1, 0, 0, {});
+  await cache.set(oldKey, Buffer.from('old'));
+  assert.deepEqual(await cache.get(oldKey), Buffer.from('old'));
+
+  await cache.setVersion('dem', 'v2');
+  assert.equal(await cache.get(oldKey), undefined);
+  assert.deepEqual(await readdir(join(directory(), 'dem')), []);
+
+  const newKey = tileCacheKey('dem', 'v2', 1, 0, 0, {});
+  await cache.set(newKey, Buffer.from('new'));
+  assert.deepEqual(await disk.get(newKey), Buffer.from('new'));
+  assert.deepEqual(await readdir(join(directory(), 'dem')), ['v2']);
+});
+
+test('concurrent disk writes of a tile each use their own temporary file', async () => {
+  const disk = new DiskTileStore(directory());
+  const key = tileCacheKey('race', 'v1', 1, 0, 0, {});
+  const values = ['a', 'b', 'c', 'd'].map(value => Buffer.from(value.repeat(64 * 1024)));
+
+  await Promise.all(values.map(value => disk.set(key, value)));
+  const stored = await disk.get(key);
+  assert.ok(values.some(value => value.equals(stored)));
+  assert.deepEqual(await readdir(join(disk.pathFor(key), '..')), ['0.mvt']);
+});
+
+test('a failed disk write is a miss and leaves no temporary file', async () => {
+  const cache = new TileCache([new DiskTileStore(directory())]);
+  const key = tileCacheKey('blocked', 'v1', 1, 0, 0, {});
+
+  // A directory in the tile's place makes the rename fail
+  const tilePath = join(directory(), key);
+  await mkdir(join(tilePath, 'child'), { recursive: true });
+
+  await cache.set(key, Buffer.from('tile'));
+  assert.deepEqual(await readdir(join(tilePath, '..')), ['0.mvt']);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSourcesConfig, loadTilesetConfigs, validateTilesetConfig } from '../lib/tileset-config.js';
+import { temporaryDirectory, writeJsonFiles } from './helpers.js';
+
+const DEFAULTS = {
+  contourInterval: 10,
+  majorInterval: 50,
+  units: 'meters'
+};
+
+const directory = temporaryDirectory('tileset-config');
+
+test('defaults apply without configuration files', async () => {
+  await writeJsonFiles(directory(), {});
+  const config = (await loadTilesetConfigs(directory(), ['dem'], DEFAULTS)).get('dem');
+
+  assert.equal(config.units, 'meters');
+  assert.deepEqual(config.thresholds, { 0: [10, 50] });
+  assert.deepEqual(config.bathymetryThresholds, { 0: [10, 50] });
+  assert.deepEqual(config.nodata, []);
+  assert.equal(config.contourArea, 'all');
+  assert.equal(config.bathymetry, false);
+});
+
+test('sidecars override tilesets.json, which overrides the defaults', async () => {
+  await writeJsonFiles(directory(), {
+    'tilesets.json': {
+      dem: { contourInterval: 20, units: 'feet', thresholds: { 10: [100, 500] } },
+      other: { encoding: 'mapbox', contourInterval: 20 }
+    },
+    'dem.json': { units: 'meters' }
+  });
+  const configs = await loadTilesetConfigs(directory(), ['dem', 'other'], DEFAULTS);
+
+  assert.equal(configs.get('dem').contourInterval, 20);
+  assert.equal(configs.get('dem').majorInterval, 50);
+  assert.equal(configs.get('dem').units, 'meters');
+  assert.deepEqual(configs.get('dem').thresholds, { 10: [100, 500] });
+  assert.deepEqual(configs.get('dem').bathymetryThresholds, { 10: [100, 500] });
+  assert.equal(configs.get('other').encoding, 'mapbox');
+  assert.deepEqual(configs.get('other').thresholds, { 0: [20, 50] });
+});
+
+test('tilesets named like the directory\'s configuration files have no sidecar', async () => {
+  await writeJsonFiles(directory(), {
+    'tilesets.json': { tilesets: { contourInterval: 20 }, sources: { contourInterval: 25 } },
+    'sources.json': {}
+  });
+  const configs = await loadTilesetConfigs(directory(), ['tilesets', 'sources'], DEFAULTS);
+
+  assert.equal(configs.get('tilesets').contourInterval, 20);
+  assert.equal(configs.get('sources').contourInterval, 25);
+});
+
+test('a single nodata elevation becomes a list of one', async () => {
+  await writeJsonFiles(directory(), { 'tilesets.json': { a: { nodata: -9999 }, b: { nodata: [-32768, 0] } } });
+  const configs = await loadTilesetConfigs(directory(), ['a', 'b'], DEFAULTS);
+
+  assert.deepEqual(configs.get('a').nodata, [-9999]);
+  assert.deepEqual(configs.get('b').nodata, [-32768, 0]);
+});
+
+test('invalid settings are rejected with their origin', async () => {
+  await writeJsonFiles(directory(), { 'tilesets.json': { dem: { contourInterval: -5 } } });
+  await assert.rejects(loadTilesetConfigs(directory(), ['dem'], DEFAULTS),
+    /tilesets\.json \(dem\): "contourInterval" must be a positive number/);
+
+  await writeJsonFiles(directory(), { 'dem.json': { units: 'yards' } });
+  await assert.rejects(loadTilesetConfigs(directory(), ['dem'], DEFAULTS), /dem\.json: "units" must be one of/);
+
+  assert.throws(() => validateTilesetConfig({ contourArea: 'ocean' }, 'test'), /"contourArea" must be one of all, land, sea/);
+  assert.throws(() => validateTilesetConfig({ bathymetry: 'yes' }, 'test'), /"bathymetry" must be true, false or "layer"/);
+  assert.throws(() => validateTilesetConfig({ bathymetryThresholds: { 0: [-10] } }, 'test'), /"bathymetryThresholds"/);
+  assert.throws(() => validateTilesetConfig({ nodata: 'none' }, 'test'), /"nodata" must be a number or a list of numbers/);
+  assert.throws(() => validateTilesetConfig({ interval: 10 }, 'test'), /test: unknown setting "interval"/);
+  assert.throws(() => validateTilesetConfig({ minzoom: 10, maxzoom: 8 }, 'test'), /"minzoom" must not be greater/);
+  assert.throws(() => validateTilesetConfig([], 'test'), /must be an object/);
+  assert.throws(() => validateTilesetConfig({ thresholds: { 0: [0] } }, 'test'), /"thresholds" must map zoom 0/);
+});
+
+test('sources.json maps tileset names to remote archives', async () => {
+  await writeJsonFiles(directory(), {});
+  assert.deepEqual(await loadSourcesConfig(directory()), new Map());
+
+  await writeJsonFiles(directory(), {
+    'sources.json': {
+      dem: 'https://example.com/dem.pmtiles',
+      private: { url: 'https://example.com/private.pmtiles', headers: { Authorization: 'Bearer token' } }
+    }
+  });
+  assert.deepEqual(await loadSourcesConfig(directory()), new Map([
+    ['dem', { url: 'https://example.com/dem.pmtiles', headers: {} }],
+    ['private', { url: 'https://example.com/private.pmtiles', headers: { Authorization: 'Bearer token' } }]
+  ]));
+
+  await writeJsonFiles(directory(), { 'sources.json': { dem: 'ftp://example.com/dem.pmtiles' } });
+  await assert.rejects(loadSourcesConfig(directory()), /sources\.json \(dem\): "url" must be an http or https URL/);
+
+  await writeJsonFiles(directory(), { 'sources.json': { dem: { url: 'https://example.com/dem.pmtiles', headers: { Retry: 3 } } } });
+  await assert.rejects(loadSourcesConfig(directory()), /"headers" must be an object of strings/);
+});
+
+test('sources.json lists the layers of composite tilesets', async () => {
+  await writeJsonFiles(directory(), { 'sources.json': { both: { layers: ['detail', 'coarse'] } } });
+  assert.deepEqual(await loadSourcesConfig(directory()), new Map([['both', { layers: ['detail', 'coarse'] }]]));
+
+  for (const [source, message] of [
+    [{ layers: ['detail'], url: 'https://example.com/dem.pmtiles' }, /either a "url" or "layers"/],
+    [{ layers: [] }, /"layers" must be a list of other tileset names/],
+    [{ layers: ['detail', 'detail'] }, /each listed once/],
+    [{ layers: ['both'] }, /each listed once/]
+  ]) {
+    await writeJsonFiles(directory(), { 'sources.json': { both: source } });
+    await assert.rejects(loadSourcesConfig(directory()), message);
+  }
+});
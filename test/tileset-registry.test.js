@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import sharp from 'sharp';
+import { decodeElevation } from '../lib/contours.js';
+import { DemCache } from '../lib/dem-cache.js';
+import { demSourceFor, DemTiles } from '../lib/dem-tiles.js';
+import { tasks } from '../lib/tile-tasks.js';
+import { TilesetRegistry } from '../lib/tileset-registry.js';
+import { WorkerPool } from '../lib/worker-pool.js';
+import { temporaryDirectory, writeDemArchive, writeJsonFiles } from './helpers.js';
+
+const DEFAULTS = {
+  contourInterval: 10,
+  majorInterval: 50,
+  units: 'meters'
+};
+
+const directory = temporaryDirectory('tileset-registry');
+
+function registry() {
+  return new TilesetRegistry(directory(), { defaults: DEFAULTS, fallbackEncoding: 'terrarium', remoteOptions: {} });
+}
+
+// Elevation at the top-left pixel of an archive's z0 tile
+async function elevation(archive) {
+  const tile = await archive.getTile(0, 0, 0);
+  const [r, g, b] = await sharp(Buffer.from(tile)).raw().toBuffer();
+  return decodeElevation(r, g, b, 'terrarium');
+}
+
+// Replace an archive the way a copy tool does: write aside, then rename over it
+async function replaceArchive(name, value) {
+  const path = join(directory(), name);
+  await writeDemArchive(`${path}.new.pmtiles`, value);
+  await rename(`${path}.new.pmtiles`, path);
+}
+
+test('scans add, replace and remove tilesets', async () => {
+  await writeJsonFiles(directory(), {});
+  await writeDemArchive(join(directory(), 'alps.pmtiles'), 1000);
+  await writeDemArchive(join(directory(), 'coast.pmtiles'), 10);
+
+  const tilesets = registry();
+  assert.deepEqual((await tilesets.scan()).map(({ action, tileset }) => [action, tileset]),
+    [['added', 'alps'], ['added', 'coast']]);
+  assert.deepEqual([...tilesets.keys()], ['alps', 'coast']);
+  assert.equal(tilesets.get('alps').config.encoding, 'terrarium');
+  assert.equal(await elevation(tilesets.get('alps').archive), 1000);
+
+  // Nothing changed, nothing reloaded
+  const alps = tilesets.get('alps');
+  assert.deepEqual(await tilesets.scan(), []);
+  assert.equal(tilesets.get('alps'), alps);
+
+  await replaceArchive('alps.pmtiles', 2000);
+  await rm(join(directory(), 'coast.pmtiles'));
+  assert.deepEqual((await tilesets.scan()).map(({ action, tileset }) => [action, tileset]),
+    [['removed', 'coast'], ['replaced', 'alps']]);
+  assert.notEqual(tilesets.get('alps'), alps);
+  assert.equal(await elevation(tilesets.get('alps').archive), 2000);
+  assert.ok(alps.retired);
+  assert.equal(tilesets.get('coast'), undefined);
+
+  for (const name of tilesets.keys()) tilesets.retire(tilesets.get(name));
+});
+
+test('a configuration change reloads the tileset', async () => {
+  await writeJsonFiles(directory(), {});
+  await writeDemArchive(join(directory(), 'alps.pmtiles'), 1000);
+
+  const tilesets = registry();
+  await tilesets.scan();
+  const before = tilesets.get('alps');
+
+  await writeFile(join(directory(), 'alps.json'), JSON.stringify({ contourInterval: 20 }));
+  assert.deepEqual((await tilesets.scan()).map(({ action }) => action), ['replaced']);
+  assert.deepEqual(tilesets.get('alps').config.thresholds, { 0: [20, 50] });
+  assert.ok(before.retired);
+
+  tilesets.retire(tilesets.get('alps'));
+});
+
+test('an unreadable archive is reported and the loaded one kept', async () => {
+  await writeJsonFiles(directory(), {});
+  await writeDemArchive(join(directory(), 'alps.pmtiles'), 1000);
+
+  const tilesets = registry();
+  await tilesets.scan();
+  const loaded = tilesets.get('alps');
+
+  await writeFile(join(directory(), 'alps.pmtiles'), 'still copying');
+  const [event] = await tilesets.scan();
+  assert.equal(event.action, 'failed');
+  assert.equal(event.tileset, 'alps');
+  assert.equal(tilesets.get('alps'), loaded);
+  assert.ok(!loaded.retired);
+
+  // An invalid configuration fails the whole scan, changing nothing
+  await writeFile(join(directory(), 'alps.json'), JSON.stringify({ units: 'yards' }));
+  await assert.rejects(tilesets.scan(), /Invalid tileset configuration/);
+  assert.equal(tilesets.get('alps'), loaded);
+  assert.equal(tilesets.status().events[0].action, 'failed');
+
+  tilesets.retire(loaded);
+});
+
+test('a replaced archive is closed once the requests leasing it have finished', async () => {
+  await writeJsonFiles(directory(), {});
+  await writeDemArchive(join(directory(), 'alps.pmtiles'), 1000);
+
+  const tilesets = registry();
+  await tilesets.scan();
+
+  const response = new EventEmitter();
+  const leased = tilesets.acquire('alps', response);
+  assert.equal(tilesets.acquire('unknown', new EventEmitter()), undefined);
+  assert.equal(tilesets.status().tilesets[0].inFlight, 1);
+
+  let closed = false;
+  const close = leased.archive.close.bind(leased.archive);
+  leased.archive.close = async () => {
+    closed = true;
+    await close();
+  };
+
+  await replaceArchive('alps.pmtiles', 2000);
+  await tilesets.scan();
+  assert.ok(leased.retired);
+  assert.equal(closed, false);
+
+  // The request still reads the archive it started with
+  assert.equal(await elevation(leased.archive), 1000);
+
+  response.emit('close');
+  assert.equal(closed, true);
+  assert.equal(leased.leases, 0);
+
+  tilesets.retire(tilesets.get('alps'));
+});
+
+test('composites are built from their layers and rebuilt when a layer changes', async () => {
+  await writeJsonFiles(directory(), { 'sources.json': { both: { layers: ['detail', 'coarse'] } } });
+  await writeDemArchive(join(directory(), 'detail.pmtiles'), 1000);
+  await writeDemArchive(join(directory(), 'coarse.pmtiles'), 10);
+
+  const tilesets = registry();
+  await tilesets.scan();
+  const both = tilesets.get('both');
+  assert.deepEqual(both.archive.layers.map(({ name }) => name), ['detail', 'coarse']);
+  assert.equal(both.config.encoding, 'terrarium');
+  assert.equal(await elevation(both.archive), 1000);
+
+  // A request leases the composite and its layers
+  const response = new EventEmitter();
+  assert.equal(tilesets.acquire('both', response), both);
+  assert.deepEqual([...tilesets.entries.values()].map(({ leases }) => leases), [1, 1, 1]);
+  response.emit('close');
+
+  await replaceArchive('detail.pmtiles', 2000);
+  const events = await tilesets.scan();
+  assert.deepEqual(events.map(({ action, tileset }) => [action, tileset]), [['replaced', 'detail'], ['replaced', 'both']]);
+  assert.equal(await elevation(tilesets.get('both').archive), 2000);
+
+  // A layer missing from the directory fails the scan, changing nothing
+  await rm(join(directory(), 'coarse.pmtiles'));
+  await assert.rejects(tilesets.scan(), /layer "coarse" of "both" is not a tileset/);
+  assert.ok(tilesets.get('both'));
+
+  for (const name of tilesets.keys()) tilesets.retire(tilesets.get(name));
+});
+
+test('requests on a replaced archive never pass its data off as the new one\'s', async () => {
+  await writeJsonFiles(directory(), {});
+  await writeDemArchive(join(directory(), 'alps.pmtiles'), 1000);
+
+  const tilesets = registry();
+  await tilesets.scan();
+  const demTiles = new DemTiles(new DemCache(1024 * 1024), new WorkerPool({ tasks, size: 0, maxQueue: 16 }));
+
+  // A request starts on the archive, which is replaced before the scan
+  const response = new EventEmitter();
+  const leased = tilesets.acquire('alps', response);
+  await replaceArchive('alps.pmtiles', 2000);
+  const before = await demSourceFor('alps', leased.archive, leased.config);
+  assert.equal((await demTiles.fetchTile(before, 0, 0, 0)).data[0], 1000);
+  assert.ok(tilesets.isCurrent('alps', leased.archive));
+
+  await tilesets.scan();
+  assert.equal(tilesets.isCurrent('alps', leased.archive), false);
+
+  // Still in flight on the retired archive: its old data under its old version
+  const retired = await demSourceFor('alps', leased.archive, leased.config);
+  assert.equal(retired.version, before.version);
+  assert.equal((await demTiles.fetchTile(retired, 0, 0, 0)).data[0], 1000);
+
+  const current = tilesets.get('alps');
+  assert.ok(tilesets.isCurrent('alps', current.archive));
+  const after = await demSourceFor('alps', current.archive, current.config);
+  assert.notEqual(after.version, before.version);
+  assert.equal((await demTiles.fetchTile(after, 0, 0, 0)).data[0], 2000);
+
+  response.emit('close');
+  tilesets.retire(current);
+});
+
+test('a composite is current while none of its layers was reloaded', async () => {
+  await writeJsonFiles(directory(), { 'sources.json': { both: { layers: ['detail', 'coarse'] } } });
+  await writeDemArchive(join(directory(), 'detail.pmtiles'), 1000);
+  await writeDemArchive(join(directory(), 'coarse.pmtiles'), 10);
+
+  const tilesets = registry();
+  await tilesets.scan();
+  const response = new EventEmitter();
+  const { archive } = tilesets.acquire('both', response);
+  assert.ok(tilesets.isCurrent('both', archive));
+
+  await replaceArchive('coarse.pmtiles', 20);
+  await tilesets.scan();
+  assert.equal(tilesets.isCurrent('both', archive), false);
+  assert.ok(tilesets.isCurrent('both', tilesets.get('both').archive));
+  assert.equal(tilesets.isCurrent('unknown', archive), false);
+
+  response.emit('close');
+  for (const name of tilesets.keys()) tilesets.retire(tilesets.get(name));
+});
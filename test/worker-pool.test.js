@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerPool, QueueFullError } from '../lib/worker-pool.js';
+import { tasks } from '../lib/tile-tasks.js';
+
+test('a pool without workers runs tasks inline', async () => {
+  const pool = new WorkerPool({
+    tasks: {
+      async double({ value }) {
+        return { result: value * 2 };
+      },
+      async fail() {
+        throw new Error('task failed');
+      }
+    },
+    size: 0,
+    maxQueue: 0
+  });
+
+  assert.equal(await pool.run('double', { value: 21 }), 42);
+  await assert.rejects(pool.run('fail', {}), /task failed/);
+  assert.equal(pool.stats().completed, 1);
+  assert.equal(pool.stats().failed, 1);
+});
+
+test('tasks beyond the queue limit are rejected, task errors reach the caller', async () => {
+  const pool = new WorkerPool({
+    filename: new URL('../lib/tile-worker.js', import.meta.url),
+    tasks,
+    size: 1,
+    maxQueue: 1
+  });
+
+  try {
+    const invalidImage = () => new Uint8Array([1, 2, 3]).buffer;
+    const running = pool.run('decode', { buffer: invalidImage(), encoding: 'terrarium' });
+    const queued = pool.run('decode', { buffer: invalidImage(), encoding: 'terrarium' });
+    await assert.rejects(pool.run('decode', { buffer: invalidImage(), encoding: 'terrarium' }), QueueFullError);
+
+    await assert.rejects(running);
+    await assert.rejects(queued);
+    assert.equal(pool.stats().failed, 2);
+    assert.equal(pool.stats().rejected, 1);
+  } finally {
+    await pool.close();
+  }
+});